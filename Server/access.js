@@ -0,0 +1,137 @@
+// Server/access.js
+// who gets into a room. The creator owns it; anyone else is let in unless
+// they're banned, the room is locked to new members, or it needs an access
+// token they don't have. A live invite from the owner gets past the lock and
+// the access token (not a ban). Once in, a member stays in until they leave
+// or the owner removes them. The access token only admits: it's separate
+// from the room's passphrase, and the server keeps just a salted scrypt hash
+// of it.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCESS_TOKEN_MIN = 4;
+const ACCESS_TOKEN_MAX = 128;
+const INVITE_TOKEN_MAX = 64;
+
+function isAccessToken(token) {
+  return (
+    typeof token === "string" &&
+    token.length >= ACCESS_TOKEN_MIN &&
+    token.length <= ACCESS_TOKEN_MAX
+  );
+}
+
+// "scrypt:<salt>:<hash>", base64
+async function hashAccessToken(token) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(token, salt, 32);
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+async function checkAccessToken(token, stored) {
+  if (typeof token !== "string" || !stored) return false;
+  const [scheme, salt, hash] = stored.split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const given = await scrypt(
+    token,
+    Buffer.from(salt, "base64"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(given, expected);
+}
+
+// invite tokens are random, so a plain SHA-256 is enough to look them up by
+function createInviteToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function isInviteToken(token) {
+  return (
+    typeof token === "string" &&
+    token.length > 0 &&
+    token.length <= INVITE_TOKEN_MAX
+  );
+}
+
+function createAccess({ db }) {
+  // let userId into the room if they may come in: { access, invite } on
+  // success, where invite is { inviteId, keyEnvelope } when a live invite
+  // was presented (null otherwise); { status, error } when they can't.
+  // Members (and the owner) are always let back in, so the token is only
+  // ever asked for once, and an invite is only used up by someone new.
+  async function admit(roomId, userId, { accessToken, inviteToken } = {}) {
+    const membership = await db.getMembership(roomId, userId);
+    if (!membership) return { status: 404, error: "room not found" };
+    const { access, accessHash, member, banned } = membership;
+    if (banned) return { status: 403, error: "banned from this room" };
+    const tokenHash = isInviteToken(inviteToken)
+      ? hashInviteToken(inviteToken)
+      : null;
+    const newcomer = !member && access.ownerId !== userId;
+    let invite = null;
+    if (tokenHash) {
+      invite = newcomer
+        ? await db.useInvite(roomId, tokenHash)
+        : await db.peekInvite(roomId, tokenHash);
+    }
+    if (newcomer && !invite) {
+      // a dead invite says more than whatever else stops them
+      const refused = (error) => ({
+        status: 403,
+        error: tokenHash ? "invite expired or revoked" : error,
+      });
+      if (access.locked) return refused("room is locked");
+      if (accessHash) {
+        if (accessToken === undefined || accessToken === null) {
+          return refused("access token required");
+        }
+        if (!(await checkAccessToken(accessToken, accessHash))) {
+          return refused("invalid access token");
+        }
+      }
+    }
+    if (!member) await db.addMember(roomId, userId);
+    return { access, invite };
+  }
+
+  // Express middleware for /rooms/:roomId routes: members only (404 for a
+  // room that doesn't exist, 403 for anyone not in it). The room's access
+  // settings are left on req.roomAccess for routes with owner-only parts.
+  async function requireMember(req, res, next) {
+    try {
+      const membership = await db.getMembership(
+        req.params.roomId,
+        req.session.userId
+      );
+      if (!membership) return res.status(404).json({ error: "room not found" });
+      if (!membership.member) {
+        return res.status(403).json({ error: "not a member of this room" });
+      }
+      req.roomAccess = membership.access;
+      next();
+    } catch (err) {
+      console.error("membership check error", err);
+      res.status(500).json({ error: "db error" });
+    }
+  }
+
+  return { admit, requireMember };
+}
+
+module.exports = {
+  createAccess,
+  hashAccessToken,
+  isAccessToken,
+  createInviteToken,
+  hashInviteToken,
+  ACCESS_TOKEN_MAX,
+  INVITE_TOKEN_MAX,
+};
@@ -0,0 +1,94 @@
+// Server/auth.js
+// signed session tokens. POST /session hands one out, and from then on a
+// client's identity comes only from its token, never from a payload. A token
+// is "<base64url JSON { sub, name, iat, exp }>.<base64url HMAC-SHA256 of it>"
+// under SESSION_SECRET, so nobody can claim a userId they weren't issued.
+
+const crypto = require("crypto");
+
+const SESSION_TTL_MS =
+  Number(process.env.SESSION_TTL_MS) || 30 * 24 * 60 * 60 * 1000;
+
+function createAuth({
+  secret = process.env.SESSION_SECRET,
+  ttlMs = SESSION_TTL_MS,
+} = {}) {
+  if (!secret) {
+    // fine for a dev server: sessions just don't outlive the process
+    console.warn(
+      "SESSION_SECRET is not set; using a random one, sessions end on restart"
+    );
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+
+  function sign(body) {
+    return crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  }
+
+  // { token, expiresAt } for a users row
+  function issue(user) {
+    const iat = Date.now();
+    const exp = iat + ttlMs;
+    const body = Buffer.from(
+      JSON.stringify({ sub: user.id, name: user.username, iat, exp })
+    ).toString("base64url");
+    return {
+      token: `${body}.${sign(body)}`,
+      expiresAt: new Date(exp).toISOString(),
+    };
+  }
+
+  // { userId, username } of a genuine, unexpired token; null otherwise
+  function verify(token) {
+    if (typeof token !== "string") return null;
+    const parts = token.split(".");
+    if (parts.length !== 2) return null;
+    const [body, mac] = parts;
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(mac);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return null;
+    }
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    } catch (err) {
+      return null;
+    }
+    if (!claims || typeof claims.sub !== "string") return null;
+    if (!(claims.exp > Date.now())) return null;
+    return { userId: claims.sub, username: claims.name || "Anon" };
+  }
+
+  // the token of an "Authorization: Bearer <token>" header
+  function bearer(req) {
+    const header = req.get("authorization") || "";
+    return header.startsWith("Bearer ") ? header.slice(7) : null;
+  }
+
+  // Express middleware: 401 without a valid session, req.session with one
+  function requireSession(req, res, next) {
+    const session = verify(bearer(req));
+    if (!session) return res.status(401).json({ error: "unauthorized" });
+    req.session = session;
+    next();
+  }
+
+  // Socket.IO middleware: refuse the connection without a valid session
+  // (handshake auth { token }), otherwise it's who the socket is
+  function socketSession(socket, next) {
+    const auth = socket.handshake.auth || {};
+    const session = verify(auth.token);
+    if (!session) return next(new Error("unauthorized"));
+    socket.data.userId = session.userId;
+    socket.data.username = session.username;
+    next();
+  }
+
+  return { issue, verify, bearer, requireSession, socketSession };
+}
+
+module.exports = { createAuth };
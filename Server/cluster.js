@@ -0,0 +1,161 @@
+// Server/cluster.js
+// running more than one server instance. Socket.IO keeps its rooms per
+// process, so io.to(roomId).emit only reaches sockets on this instance unless
+// an adapter passes broadcasts on to the others. SOCKET_ADAPTER picks one:
+//   postgres  LISTEN/NOTIFY on the app's own database
+//   redis     Redis pub/sub at REDIS_URL
+//   (unset)   a single instance, nothing shared
+// Clustered, per-IP rate limits spend from buckets every instance shares
+// (see ratelimit.js) and presence asks all of them (see presence.js).
+// Neither adapter keeps connection state for recovery, so a client that
+// reconnects rejoins its rooms and catches up instead.
+
+const { createClient } = require("redis");
+const {
+  createAdapter: createPostgresAdapter,
+} = require("@socket.io/postgres-adapter");
+const {
+  createAdapter: createRedisAdapter,
+} = require("@socket.io/redis-adapter");
+
+const DEFAULT_REDIS_URL = "redis://localhost:6379";
+// buckets untouched for ten minutes have long since refilled; they're
+// dropped once a minute
+const BUCKET_SWEEP_MS = 60 * 1000;
+
+// how long (ms) until a bucket holding `tokens` has a whole one again
+function retryAfter(tokens, limit) {
+  return Math.ceil(((1 - tokens) / limit.perMinute) * 60000);
+}
+
+// the bucket's tokens once refilled for the time since it was last touched
+const REFILLED = `LEAST($3::float8, b.tokens +
+  EXTRACT(EPOCH FROM now() - b.updated_at)::float8 * $4::float8 / 60)`;
+
+// per-IP buckets in the rate_buckets table (see migrations/015_cluster).
+// Refilling and spending is one statement, so instances racing on the same
+// key each see what the other spent.
+function postgresBuckets(pool) {
+  let timer = null;
+
+  async function take(name, key, limit) {
+    const result = await pool.query(
+      `INSERT INTO rate_buckets AS b (name, key, tokens, spent)
+       VALUES ($1, $2, $3::float8 - 1, true)
+       ON CONFLICT (name, key) DO UPDATE SET
+         tokens = ${REFILLED} - CASE WHEN ${REFILLED} >= 1 THEN 1 ELSE 0 END,
+         spent = ${REFILLED} >= 1,
+         updated_at = now()
+       RETURNING tokens, spent`,
+      [name, key, limit.burst, limit.perMinute]
+    );
+    const { tokens, spent } = result.rows[0];
+    return spent ? 0 : retryAfter(tokens, limit);
+  }
+
+  function sweep() {
+    pool
+      .query(
+        "DELETE FROM rate_buckets WHERE updated_at < now() - interval '10 minutes'"
+      )
+      .catch((err) => console.error("rate bucket sweep failed", err));
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(sweep, BUCKET_SWEEP_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { take, start, stop };
+}
+
+// the same buckets as Redis hashes { tokens, at }, refilled and spent by a
+// script (atomic on the Redis side) against Redis's own clock; a bucket
+// expires once it would have refilled
+const TAKE_TOKEN_SCRIPT = `
+local burst = tonumber(ARGV[1])
+local perMinute = tonumber(ARGV[2])
+local time = redis.call("TIME")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call("HMGET", KEYS[1], "tokens", "at")
+local tokens = burst
+if bucket[1] then
+  tokens = math.min(burst,
+    tonumber(bucket[1]) + (now - tonumber(bucket[2])) / 60000 * perMinute)
+end
+local spent = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  spent = 1
+end
+redis.call("HSET", KEYS[1], "tokens", tostring(tokens), "at", tostring(now))
+redis.call("PEXPIRE", KEYS[1], math.ceil((burst - tokens) / perMinute * 60000))
+return { spent, tostring(tokens) }
+`;
+
+function redisBuckets(client) {
+  async function take(name, key, limit) {
+    const [spent, tokens] = await client.eval(TAKE_TOKEN_SCRIPT, {
+      keys: [`ratelimit:${name}:${key}`],
+      arguments: [String(limit.burst), String(limit.perMinute)],
+    });
+    return spent ? 0 : retryAfter(Number(tokens), limit);
+  }
+  // nothing to sweep: Redis expires the buckets itself
+  return { take, start() {}, stop() {} };
+}
+
+// what SOCKET_ADAPTER asks for: { buckets } for ratelimit.js (null on a
+// single instance) and attach(io), which puts the adapter in place once the
+// server is ready to start
+function createCluster({ db, adapter = process.env.SOCKET_ADAPTER }) {
+  if (!adapter) return { buckets: null, attach: async () => {} };
+  if (adapter !== "postgres" && adapter !== "redis") {
+    throw new Error("unknown SOCKET_ADAPTER: " + adapter);
+  }
+  // every instance must see the same rooms and messages...
+  if (!db.pool) {
+    throw new Error(
+      "SOCKET_ADAPTER needs a shared database (DB_BACKEND=postgres)"
+    );
+  }
+  // ...and accept each other's session tokens
+  if (!process.env.SESSION_SECRET) {
+    throw new Error("SOCKET_ADAPTER needs SESSION_SECRET, the same everywhere");
+  }
+
+  if (adapter === "postgres") {
+    return {
+      buckets: postgresBuckets(db.pool),
+      attach: async (io) => {
+        io.adapter(
+          createPostgresAdapter(db.pool, {
+            errorHandler: (err) => console.error("socket adapter error", err),
+          })
+        );
+      },
+    };
+  }
+
+  const pub = createClient({ url: process.env.REDIS_URL || DEFAULT_REDIS_URL });
+  // pub/sub needs a connection of its own
+  const sub = pub.duplicate();
+  for (const client of [pub, sub]) {
+    client.on("error", (err) => console.error("redis error", err));
+  }
+  return {
+    buckets: redisBuckets(pub),
+    attach: async (io) => {
+      await Promise.all([pub.connect(), sub.connect()]);
+      io.adapter(createRedisAdapter(pub, sub));
+    },
+  };
+}
+
+module.exports = { createCluster };
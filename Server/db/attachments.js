@@ -0,0 +1,101 @@
+// Server/db/attachments.js
+// where attachment bytes live: ATTACHMENT_STORE=disk (default) writes one file
+// per attachment under ATTACHMENT_DIR, =db keeps them in the attachments row.
+// Either way the row in the store is the record of the upload; the bytes are
+// ciphertext the server can't read. An upload is pending until the message
+// pointing at it is sent; one still pending after PENDING_UPLOAD_TTL_MS was
+// abandoned (the send never came) and is removed.
+const fs = require("fs/promises");
+const path = require("path");
+
+const DEFAULT_ATTACHMENT_DIR = path.join(__dirname, "..", "uploads");
+// a day: an outbox can hold a message that long (see schemas.js), and its
+// upload has to be there when it's sent
+const PENDING_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const PENDING_SWEEP_MS = 10 * 60 * 1000;
+
+function createAttachmentStore(
+  db,
+  {
+    backend = process.env.ATTACHMENT_STORE || "disk",
+    dir = process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR,
+  } = {}
+) {
+  if (backend !== "disk" && backend !== "db") {
+    throw new Error("unknown ATTACHMENT_STORE: " + backend);
+  }
+
+  // ids are validated as UUIDs by the caller, so they're safe as file names
+  const fileFor = (attachmentId) => path.join(dir, attachmentId);
+
+  // store an upload; false if the id is already taken
+  async function save({ attachmentId, roomId, data }) {
+    const saved = await db.saveAttachment({
+      attachmentId,
+      roomId,
+      size: data.length,
+      data: backend === "db" ? data : null,
+    });
+    if (!saved || backend === "db") return saved;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(attachmentId), data, { flag: "wx" });
+    } catch (err) {
+      await db.deleteAttachment(attachmentId);
+      throw err;
+    }
+    return true;
+  }
+
+  // { roomId, size, data } or null when there's no such attachment
+  async function load(attachmentId) {
+    const row = await db.getAttachment(attachmentId);
+    if (!row) return null;
+    if (row.data) return { roomId: row.roomId, size: row.size, data: row.data };
+    try {
+      const data = await fs.readFile(fileFor(attachmentId));
+      return { roomId: row.roomId, size: row.size, data };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  // delete an attachment's bytes and then its row; false if there was no
+  // such attachment
+  async function remove(attachmentId) {
+    if (backend === "disk") {
+      await fs.rm(fileFor(attachmentId), { force: true });
+    }
+    return db.deleteAttachment(attachmentId);
+  }
+
+  let timer = null;
+
+  async function sweepPending() {
+    const before = new Date(Date.now() - PENDING_UPLOAD_TTL_MS).toISOString();
+    for (const attachmentId of await db.getPendingAttachments(before)) {
+      await remove(attachmentId);
+    }
+  }
+
+  // the pending-upload sweep runs from start() until stop()
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      sweepPending().catch((err) =>
+        console.error("pending upload sweep failed", err)
+      );
+    }, PENDING_SWEEP_MS);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { save, load, remove, sweepPending, start, stop };
+}
+
+module.exports = { createAttachmentStore, DEFAULT_ATTACHMENT_DIR };
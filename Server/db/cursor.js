@@ -0,0 +1,26 @@
+// Server/db/cursor.js
+// history cursors: a message's seq, the order the server stored it in (see
+// migrations/016_message_seq). Never the sender's createdAt: a clock running
+// behind would put a message before a reader's cursor and out of its catch-up.
+
+const SEQ_RE = /^[1-9][0-9]{0,15}$/;
+
+function encodeCursor({ seq }) {
+  return String(seq);
+}
+
+// returns { seq } or null when the cursor is malformed
+function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || !SEQ_RE.test(cursor)) return null;
+  const seq = Number(cursor);
+  if (!Number.isSafeInteger(seq)) return null;
+  return { seq };
+}
+
+// compare a normalized message against a decoded cursor (-1, 0, 1)
+function compareToCursor(msg, cursor) {
+  if (msg.seq === cursor.seq) return 0;
+  return msg.seq < cursor.seq ? -1 : 1;
+}
+
+module.exports = { encodeCursor, decodeCursor, compareToCursor };
@@ -0,0 +1,26 @@
+// Server/db/index.js
+// picks the storage backend: DB_BACKEND=memory for no-database runs, postgres otherwise
+const { createPostgresStore } = require("./postgres");
+const { createMemoryStore } = require("./memory");
+const { bufferToBase64, normalizeMessageRow } = require("./normalize");
+const { encodeCursor, decodeCursor } = require("./cursor");
+const { createAttachmentStore } = require("./attachments");
+
+function createStore(backend = process.env.DB_BACKEND || "postgres") {
+  if (backend === "memory") return createMemoryStore();
+  if (backend === "postgres") {
+    return createPostgresStore({ connectionString: process.env.DATABASE_URL });
+  }
+  throw new Error("unknown DB_BACKEND: " + backend);
+}
+
+module.exports = {
+  createStore,
+  createPostgresStore,
+  createMemoryStore,
+  createAttachmentStore,
+  bufferToBase64,
+  normalizeMessageRow,
+  encodeCursor,
+  decodeCursor,
+};
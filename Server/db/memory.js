@@ -0,0 +1,820 @@
+// Server/db/memory.js
+// in-memory store with the same interface as the Postgres one — lets the
+// server run (and be poked at) with no database. Rows are kept in the same
+// snake_case shape Postgres returns so normalizeMessageRow maps both.
+const crypto = require("crypto");
+const {
+  normalizeMessageRow,
+  normalizeTimerRow,
+  normalizeAccessRow,
+  normalizeBanRow,
+  normalizeInviteRow,
+  groupByRoom,
+  receiptCounts,
+} = require("./normalize");
+const { compareToCursor } = require("./cursor");
+
+function createMemoryStore() {
+  const rooms = new Map(); // id -> room row (room_name, key_envelope, ...)
+  const users = new Map(); // id -> { id, username, created_at }
+  const messages = []; // message rows, insertion order
+  let lastSeq = 0; // messages.seq: history order, handed out on insert
+  const memberKeys = new Map(); // `${room_id}:${user_id}` -> member_keys row
+  const senderKeyShares = new Map(); // id -> sender_key_shares row
+  const attachments = new Map(); // id -> attachments row
+  const reactions = new Map(); // `${room_id}:${sender_id}:${reaction_key}` -> row
+  const receipts = new Map(); // `${message_id}:${user_id}` -> receipts row
+  const members = new Map(); // `${room_id}:${user_id}` -> room_members row
+  const bans = new Map(); // `${room_id}:${user_id}` -> room_bans row
+  const invites = new Map(); // id -> invites row
+
+  // receipt_* counts of a message, as RECEIPT_COUNTS selects them
+  function receiptColumns(row) {
+    let count = 0;
+    for (const m of members.values()) {
+      if (m.room_id === row.room_id && m.user_id !== row.sender_id) count++;
+    }
+    let delivered = 0;
+    let read = 0;
+    for (const r of receipts.values()) {
+      if (r.message_id !== row.message_id) continue;
+      delivered++;
+      if (r.read_at) read++;
+    }
+    return {
+      receipt_members: count,
+      receipt_delivered: delivered,
+      receipt_read: read,
+    };
+  }
+
+  // past its expiry: hidden until the sweeper deletes it
+  function expired(row) {
+    return !!row.expires_at && new Date(row.expires_at).getTime() <= Date.now();
+  }
+
+  // attach the sender's username (like the Postgres LEFT JOIN does) and
+  // receipt counts
+  function withUsername(row) {
+    const user = users.get(row.sender_id);
+    return {
+      ...row,
+      username: user ? user.username : null,
+      ...receiptColumns(row),
+    };
+  }
+
+  async function createRoom({
+    roomName,
+    keyMode = "passphrase",
+    ownerId = null,
+    accessHash = null,
+  }) {
+    const id = crypto.randomUUID();
+    rooms.set(id, {
+      id,
+      room_name: roomName || null,
+      owner_id: ownerId,
+      access_hash: accessHash,
+      locked: false,
+      key_mode: keyMode,
+      key_envelope: null,
+      key_revision: 0,
+      key_check: null,
+      message_ttl: null,
+      message_ttl_set_by: null,
+      message_ttl_set_at: null,
+      created_at: new Date().toISOString(),
+    });
+    if (ownerId) await addMember(id, ownerId);
+    return { roomId: id };
+  }
+
+  async function getRoomAccess(roomId) {
+    const room = rooms.get(roomId);
+    return room ? normalizeAccessRow(room) : null;
+  }
+
+  async function getMembership(roomId, userId) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    return {
+      access: normalizeAccessRow(room),
+      accessHash: room.access_hash,
+      member: members.has(`${roomId}:${userId}`),
+      banned: bans.has(`${roomId}:${userId}`),
+    };
+  }
+
+  async function addMember(roomId, userId) {
+    const id = `${roomId}:${userId}`;
+    if (members.has(id)) return;
+    members.set(id, {
+      room_id: roomId,
+      user_id: userId,
+      joined_at: new Date().toISOString(),
+    });
+  }
+
+  async function setRoomLocked(roomId, locked) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    room.locked = !!locked;
+    return normalizeAccessRow(room);
+  }
+
+  async function setAccessHash(roomId, accessHash) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    room.access_hash = accessHash;
+    return normalizeAccessRow(room);
+  }
+
+  // as INVITE_LIVE decides
+  function inviteLive(row) {
+    return (
+      !row.revoked_at &&
+      (!row.expires_at || new Date(row.expires_at).getTime() > Date.now())
+    );
+  }
+
+  function findInvite(roomId, tokenHash) {
+    for (const row of invites.values()) {
+      if (row.room_id === roomId && row.token_hash === tokenHash) {
+        return inviteLive(row) ? row : null;
+      }
+    }
+    return null;
+  }
+
+  async function createInvite({
+    roomId,
+    tokenHash,
+    keyEnvelope,
+    createdBy,
+    expiresAt,
+    maxUses,
+  }) {
+    const row = {
+      id: crypto.randomUUID(),
+      room_id: roomId,
+      token_hash: tokenHash,
+      key_envelope: keyEnvelope || null,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt || null,
+      max_uses: maxUses || null,
+      uses: 0,
+      revoked_at: null,
+    };
+    invites.set(row.id, row);
+    return normalizeInviteRow(row);
+  }
+
+  async function getInvites(roomId) {
+    // newest first; made in the same millisecond, the later one first
+    return [...invites.values()]
+      .filter((i) => i.room_id === roomId && !i.revoked_at)
+      .reverse()
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(normalizeInviteRow);
+  }
+
+  async function revokeInvite(roomId, inviteId) {
+    const row = invites.get(inviteId);
+    if (!row || row.room_id !== roomId || row.revoked_at) return false;
+    row.revoked_at = new Date().toISOString();
+    row.key_envelope = null;
+    return true;
+  }
+
+  async function useInvite(roomId, tokenHash) {
+    const row = findInvite(roomId, tokenHash);
+    if (!row || (row.max_uses && row.uses >= row.max_uses)) return null;
+    row.uses += 1;
+    return { inviteId: row.id, keyEnvelope: row.key_envelope };
+  }
+
+  async function peekInvite(roomId, tokenHash) {
+    const row = findInvite(roomId, tokenHash);
+    return row ? { inviteId: row.id, keyEnvelope: row.key_envelope } : null;
+  }
+
+  async function banMember(roomId, userId, bannedBy) {
+    const id = `${roomId}:${userId}`;
+    if (!bans.has(id)) {
+      bans.set(id, {
+        room_id: roomId,
+        user_id: userId,
+        banned_by: bannedBy,
+        banned_at: new Date().toISOString(),
+      });
+    }
+    await removeMember(roomId, userId);
+  }
+
+  async function unbanMember(roomId, userId) {
+    return bans.delete(`${roomId}:${userId}`);
+  }
+
+  async function getBans(roomId) {
+    return [...bans.values()]
+      .filter((b) => b.room_id === roomId)
+      .sort((a, b) => a.banned_at.localeCompare(b.banned_at))
+      .map((b) => {
+        const user = users.get(b.user_id);
+        return normalizeBanRow({
+          ...b,
+          username: user ? user.username : null,
+        });
+      });
+  }
+
+  async function getRoomKey(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    return {
+      mode: room.key_mode,
+      envelope: room.key_envelope,
+      revision: room.key_revision,
+      keyCheck: room.key_check,
+    };
+  }
+
+  async function setRoomKey(roomId, envelope, expectedRevision) {
+    const room = rooms.get(roomId);
+    if (!room || room.key_revision !== expectedRevision) return null;
+    room.key_envelope = envelope;
+    room.key_revision += 1;
+    return room.key_revision;
+  }
+
+  async function setKeyCheck(roomId, keyCheck) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    if (!room.key_check) room.key_check = keyCheck;
+    return room.key_check;
+  }
+
+  function timerOf(room) {
+    const user = users.get(room.message_ttl_set_by);
+    return normalizeTimerRow({
+      ...room,
+      username: user ? user.username : null,
+    });
+  }
+
+  async function getMessageTimer(roomId) {
+    const room = rooms.get(roomId);
+    return room ? timerOf(room) : null;
+  }
+
+  async function setMessageTimer(roomId, ttl, userId) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+    room.message_ttl = ttl;
+    room.message_ttl_set_by = userId;
+    room.message_ttl_set_at = new Date().toISOString();
+    return timerOf(room);
+  }
+
+  async function upsertMemberKey(roomId, userId, publicKey, signingKey) {
+    const id = `${roomId}:${userId}`;
+    const existing = memberKeys.get(id);
+    const sameKey =
+      existing &&
+      JSON.stringify(existing.public_key) === JSON.stringify(publicKey);
+    memberKeys.set(id, {
+      room_id: roomId,
+      user_id: userId,
+      public_key: publicKey,
+      signing_key: signingKey || null,
+      wrapped_key: sameKey ? existing.wrapped_key : null,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  async function getMemberKeys(roomId) {
+    return [...memberKeys.values()]
+      .filter((k) => k.room_id === roomId)
+      .map((k) => {
+        const user = users.get(k.user_id);
+        return {
+          userId: k.user_id,
+          username: (user && user.username) || "Anon",
+          publicKey: k.public_key,
+          signingKey: k.signing_key,
+          hasKey: k.wrapped_key !== null,
+        };
+      });
+  }
+
+  async function getWrappedKeyFor(roomId, userId) {
+    const row = memberKeys.get(`${roomId}:${userId}`);
+    return row ? row.wrapped_key : null;
+  }
+
+  async function setWrappedKeyFor(roomId, userId, envelope, { bootstrap }) {
+    const row = memberKeys.get(`${roomId}:${userId}`);
+    if (!row) return false;
+    if (bootstrap) {
+      for (const k of memberKeys.values()) {
+        if (k.room_id === roomId && k.wrapped_key !== null) return false;
+      }
+    }
+    row.wrapped_key = envelope;
+    row.updated_at = new Date().toISOString();
+    return true;
+  }
+
+  async function removeMember(roomId, userId) {
+    members.delete(`${roomId}:${userId}`);
+    memberKeys.delete(`${roomId}:${userId}`);
+    for (const [id, share] of senderKeyShares) {
+      if (share.room_id === roomId && share.recipient_id === userId) {
+        senderKeyShares.delete(id);
+      }
+    }
+  }
+
+  async function queueSenderKey({
+    roomId,
+    recipientId,
+    senderId,
+    sessionId,
+    envelope,
+  }) {
+    const id = crypto.randomUUID();
+    senderKeyShares.set(id, {
+      id,
+      room_id: roomId,
+      recipient_id: recipientId,
+      sender_id: senderId,
+      session_id: sessionId,
+      envelope,
+      created_at: new Date().toISOString(),
+    });
+    return id;
+  }
+
+  async function getPendingSenderKeys(roomId, recipientId) {
+    return [...senderKeyShares.values()]
+      .filter((s) => s.room_id === roomId && s.recipient_id === recipientId)
+      .map((s) => ({
+        shareId: s.id,
+        roomId,
+        senderId: s.sender_id,
+        sessionId: s.session_id,
+        envelope: s.envelope,
+      }));
+  }
+
+  async function deleteSenderKeyShare(shareId, recipientId) {
+    const share = senderKeyShares.get(shareId);
+    if (share && share.recipient_id === recipientId) {
+      senderKeyShares.delete(shareId);
+    }
+  }
+
+  async function createUser({ username }) {
+    const row = {
+      id: crypto.randomUUID(),
+      username: (username || "Anon").trim() || "Anon",
+      created_at: new Date().toISOString(),
+    };
+    users.set(row.id, row);
+    return { id: row.id, username: row.username };
+  }
+
+  // userId comes from a verified session; it may predate this process
+  async function upsertUser({ userId, username }) {
+    const name = (username || "Anon").trim() || "Anon";
+    const existing = users.get(userId);
+    if (existing) {
+      existing.username = name;
+      return { id: existing.id, username: existing.username };
+    }
+    const row = {
+      id: userId,
+      username: name,
+      created_at: new Date().toISOString(),
+    };
+    users.set(userId, row);
+    return { id: row.id, username: row.username };
+  }
+
+  async function getMessagesPage(
+    roomId,
+    { before, after, limit = 50, thread } = {}
+  ) {
+    const ordered = messages
+      .filter((m) => m.room_id === roomId && !expired(m))
+      .filter((m) => !thread || m.thread_tag === thread)
+      .map(withUsername)
+      .map(normalizeMessageRow)
+      .filter((m) => !before || compareToCursor(m, before) < 0)
+      .filter((m) => !after || compareToCursor(m, after) > 0)
+      .sort(compareToCursor);
+
+    if (after) {
+      return {
+        messages: ordered.slice(0, limit),
+        hasMore: ordered.length > limit,
+      };
+    }
+    return {
+      messages: ordered.slice(Math.max(0, ordered.length - limit)),
+      hasMore: ordered.length > limit,
+    };
+  }
+
+  async function saveMessage({
+    messageId,
+    roomId,
+    senderId,
+    ciphertext,
+    iv,
+    createdAt,
+    status,
+    ratchet,
+    enc,
+    sig,
+    threadTag,
+    attachmentId,
+  }) {
+    // messageId is the idempotency key: a resend inserts nothing
+    const existing = findMessage(messageId);
+    if (existing) {
+      if (existing.room_id !== roomId || existing.sender_id !== senderId) {
+        return null;
+      }
+      return {
+        message: normalizeMessageRow(withUsername(existing)),
+        created: false,
+      };
+    }
+    const room = rooms.get(roomId);
+    const row = {
+      message_id: messageId,
+      seq: ++lastSeq,
+      room_id: roomId,
+      sender_id: senderId,
+      ciphertext,
+      iv,
+      status: status || "sent",
+      delivered_at: null,
+      read_at: null,
+      created_at: createdAt || new Date().toISOString(),
+      ratchet: ratchet || null,
+      enc: enc || null,
+      sig: sig || null,
+      revision: 0,
+      edited_at: null,
+      deleted_at: null,
+      thread_tag: threadTag || null,
+      expires_at:
+        room && room.message_ttl
+          ? new Date(Date.now() + room.message_ttl * 1000).toISOString()
+          : null,
+    };
+    messages.push(row);
+    const upload = attachmentId && attachments.get(attachmentId);
+    if (upload && upload.room_id === roomId && upload.pending) {
+      Object.assign(upload, { message_id: messageId, pending: false });
+    }
+    return { message: normalizeMessageRow(withUsername(row)), created: true };
+  }
+
+  function findMessage(messageId) {
+    return messages.find((m) => m.message_id === messageId) || null;
+  }
+
+  // the sender's live message in a room, or null
+  function findOwnMessage(messageId, roomId, senderId) {
+    const row = findMessage(messageId);
+    if (!row || row.room_id !== roomId || row.sender_id !== senderId) {
+      return null;
+    }
+    return row.deleted_at ? null : row;
+  }
+
+  async function editMessage({
+    messageId,
+    roomId,
+    senderId,
+    ciphertext,
+    iv,
+    ratchet,
+    enc,
+    sig,
+    revision,
+  }) {
+    const row = findOwnMessage(messageId, roomId, senderId);
+    if (!row || row.revision >= revision) return null;
+    Object.assign(row, {
+      ciphertext,
+      iv,
+      ratchet: ratchet || null,
+      enc,
+      sig: sig || null,
+      revision,
+      edited_at: new Date().toISOString(),
+    });
+    return normalizeMessageRow(withUsername(row));
+  }
+
+  function attachmentsOf(messageId) {
+    return [...attachments.values()]
+      .filter((a) => a.message_id === messageId)
+      .map((a) => a.id);
+  }
+
+  async function deleteMessage({ messageId, roomId, senderId }) {
+    const row = findOwnMessage(messageId, roomId, senderId);
+    if (!row) return null;
+    Object.assign(row, {
+      ciphertext: null,
+      iv: null,
+      ratchet: null,
+      enc: null,
+      sig: null,
+      deleted_at: new Date().toISOString(),
+    });
+    return {
+      messageId,
+      roomId,
+      deletedAt: row.deleted_at,
+      attachmentIds: attachmentsOf(messageId),
+    };
+  }
+
+  async function getMessageChanges(roomId, since) {
+    const sinceMs = new Date(since).getTime();
+    const changed = (at) => !!at && new Date(at).getTime() > sinceMs;
+    return messages
+      .filter(
+        (m) =>
+          m.room_id === roomId &&
+          !expired(m) &&
+          (changed(m.edited_at) || changed(m.deleted_at))
+      )
+      .map(withUsername)
+      .map(normalizeMessageRow)
+      .sort(compareToCursor);
+  }
+
+  async function deleteExpiredMessages() {
+    const gone = messages.filter(expired);
+    if (gone.length === 0) return [];
+    const ids = new Set(gone.map((m) => m.message_id));
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (ids.has(messages[i].message_id)) messages.splice(i, 1);
+    }
+    for (const [id, r] of receipts) {
+      if (ids.has(r.message_id)) receipts.delete(id);
+    }
+    const rows = gone.map((m) => ({
+      ...m,
+      attachment_ids: attachmentsOf(m.message_id),
+    }));
+    for (const a of attachments.values()) {
+      if (ids.has(a.message_id)) a.message_id = null;
+    }
+    return groupByRoom(rows);
+  }
+
+  async function saveReaction({ roomId, senderId, reactionKey, envelope }) {
+    const row = {
+      room_id: roomId,
+      sender_id: senderId,
+      reaction_key: reactionKey,
+      envelope,
+      created_at: new Date().toISOString(),
+    };
+    const id = `${roomId}:${senderId}:${reactionKey}`;
+    // re-insert so iteration order stays by created_at
+    reactions.delete(id);
+    reactions.set(id, row);
+    return {
+      roomId,
+      senderId,
+      reactionKey,
+      envelope,
+      createdAt: row.created_at,
+    };
+  }
+
+  async function removeReaction({ roomId, senderId, reactionKey }) {
+    return reactions.delete(`${roomId}:${senderId}:${reactionKey}`);
+  }
+
+  async function getReactions(roomId) {
+    return [...reactions.values()]
+      .filter((r) => r.room_id === roomId)
+      .map((r) => ({
+        roomId,
+        senderId: r.sender_id,
+        reactionKey: r.reaction_key,
+        envelope: r.envelope,
+        createdAt: r.created_at,
+      }));
+  }
+
+  const receiptChangedAt = (r) =>
+    Math.max(
+      new Date(r.delivered_at).getTime(),
+      r.read_at ? new Date(r.read_at).getTime() : 0
+    );
+
+  function receiptSummary(row) {
+    let ts = 0;
+    for (const r of receipts.values()) {
+      if (r.message_id === row.message_id) {
+        ts = Math.max(ts, receiptChangedAt(r));
+      }
+    }
+    return {
+      messageId: row.message_id,
+      ...receiptCounts(receiptColumns(row)),
+      ts: ts ? new Date(ts).toISOString() : null,
+    };
+  }
+
+  async function markReceipt(messageId, roomId, userId, read) {
+    const row = findMessage(messageId);
+    if (!row || row.room_id !== roomId) return null;
+    if (row.sender_id === userId || row.deleted_at) return null;
+    if (!members.has(`${roomId}:${userId}`)) return null;
+    const id = `${messageId}:${userId}`;
+    const now = new Date().toISOString();
+    const existing = receipts.get(id);
+    if (existing) {
+      if (!read || existing.read_at) return null;
+      existing.read_at = now;
+    } else {
+      receipts.set(id, {
+        message_id: messageId,
+        room_id: row.room_id,
+        user_id: userId,
+        delivered_at: now,
+        read_at: read ? now : null,
+      });
+    }
+    return {
+      senderId: row.sender_id,
+      roomId: row.room_id,
+      summary: receiptSummary(row),
+    };
+  }
+
+  function markDelivered(messageId, roomId, userId) {
+    return markReceipt(messageId, roomId, userId, false);
+  }
+
+  function markRead(messageId, roomId, userId) {
+    return markReceipt(messageId, roomId, userId, true);
+  }
+
+  async function getReceiptChanges(roomId, senderId, since) {
+    const sinceMs = new Date(since).getTime();
+    const changed = new Set();
+    for (const r of receipts.values()) {
+      if (r.room_id === roomId && receiptChangedAt(r) > sinceMs) {
+        changed.add(r.message_id);
+      }
+    }
+    return messages
+      .filter((m) => changed.has(m.message_id) && m.sender_id === senderId)
+      .map(receiptSummary)
+      .sort((a, b) => new Date(a.ts) - new Date(b.ts));
+  }
+
+  async function getReceipts(messageId) {
+    const row = findMessage(messageId);
+    if (!row) return null;
+    const { recipients, delivered, read } = receiptSummary(row);
+    const rank = (r) => (r.read_at ? 0 : 1);
+    return {
+      messageId,
+      roomId: row.room_id,
+      senderId: row.sender_id,
+      recipients,
+      delivered,
+      read,
+      receipts: [...receipts.values()]
+        .filter((r) => r.message_id === messageId)
+        .sort(
+          (a, b) =>
+            rank(a) - rank(b) ||
+            new Date(a.read_at || a.delivered_at) -
+              new Date(b.read_at || b.delivered_at)
+        )
+        .map((r) => {
+          const user = users.get(r.user_id);
+          return {
+            userId: r.user_id,
+            username: (user && user.username) || "Anon",
+            deliveredAt: r.delivered_at,
+            readAt: r.read_at,
+          };
+        }),
+    };
+  }
+
+  async function saveAttachment({ attachmentId, roomId, size, data }) {
+    if (attachments.has(attachmentId)) return false;
+    attachments.set(attachmentId, {
+      id: attachmentId,
+      room_id: roomId,
+      size,
+      data: data || null,
+      message_id: null,
+      pending: true,
+      created_at: new Date().toISOString(),
+    });
+    return true;
+  }
+
+  async function getAttachment(attachmentId) {
+    const row = attachments.get(attachmentId);
+    if (!row) return null;
+    return {
+      attachmentId: row.id,
+      roomId: row.room_id,
+      size: row.size,
+      data: row.data,
+      createdAt: row.created_at,
+    };
+  }
+
+  async function deleteAttachment(attachmentId) {
+    return attachments.delete(attachmentId);
+  }
+
+  async function getPendingAttachments(before) {
+    const beforeMs = new Date(before).getTime();
+    return [...attachments.values()]
+      .filter((a) => a.pending && new Date(a.created_at).getTime() < beforeMs)
+      .map((a) => a.id);
+  }
+
+  // nothing to migrate: the in-memory tables always match the latest schema
+  async function schemaPending() {
+    return [];
+  }
+
+  async function close() {}
+
+  return {
+    createRoom,
+    getRoomAccess,
+    getMembership,
+    addMember,
+    setRoomLocked,
+    setAccessHash,
+    banMember,
+    unbanMember,
+    getBans,
+    createInvite,
+    getInvites,
+    revokeInvite,
+    useInvite,
+    peekInvite,
+    getRoomKey,
+    setRoomKey,
+    setKeyCheck,
+    getMessageTimer,
+    setMessageTimer,
+    upsertMemberKey,
+    getMemberKeys,
+    getWrappedKeyFor,
+    setWrappedKeyFor,
+    removeMember,
+    queueSenderKey,
+    getPendingSenderKeys,
+    deleteSenderKeyShare,
+    createUser,
+    upsertUser,
+    getMessagesPage,
+    saveMessage,
+    editMessage,
+    deleteMessage,
+    getMessageChanges,
+    deleteExpiredMessages,
+    saveReaction,
+    removeReaction,
+    getReactions,
+    markDelivered,
+    markRead,
+    getReceiptChanges,
+    getReceipts,
+    saveAttachment,
+    getAttachment,
+    deleteAttachment,
+    getPendingAttachments,
+    schemaPending,
+    close,
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,139 @@
+// Server/db/migrate.js
+// versioned SQL migrations from Server/migrations (NNN_name.up.sql / NNN_name.down.sql)
+//   node db/migrate.js up          apply every pending migration
+//   node db/migrate.js down [n]    roll back the last n migrations (default 1)
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_RE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// read migration files, paired by version and sorted ascending
+function listMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const entry = byVersion.get(version) || { version, name };
+    entry[direction] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort(
+    (a, b) => Number(a.version) - Number(b.version)
+  );
+  for (const m of migrations) {
+    if (!m.up)
+      throw new Error(`migration ${m.version}_${m.name} has no up file`);
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(pool) {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     text PRIMARY KEY,
+      name        text NOT NULL,
+      applied_at  timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function appliedVersions(pool) {
+  await ensureMigrationsTable(pool);
+  const result = await pool.query(
+    "SELECT version FROM schema_migrations ORDER BY version ASC"
+  );
+  return result.rows.map((r) => r.version);
+}
+
+// migrations present on disk but not yet applied to the database
+async function pendingMigrations(pool) {
+  const applied = new Set(await appliedVersions(pool));
+  return listMigrations().filter((m) => !applied.has(m.version));
+}
+
+// run one migration file and record/unrecord it, all in a single transaction
+async function runInTransaction(pool, sqlFile, record) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query(fs.readFileSync(sqlFile, "utf8"));
+    await record(client);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function migrateUp(pool) {
+  const pending = await pendingMigrations(pool);
+  for (const m of pending) {
+    await runInTransaction(pool, m.up, (client) =>
+      client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [m.version, m.name]
+      )
+    );
+    console.log(`migrated up: ${m.version}_${m.name}`);
+  }
+  return pending;
+}
+
+async function migrateDown(pool, steps = 1) {
+  const applied = await appliedVersions(pool);
+  const byVersion = new Map(listMigrations().map((m) => [m.version, m]));
+  const toRevert = applied.slice(-steps).reverse();
+
+  for (const version of toRevert) {
+    const m = byVersion.get(version);
+    if (!m || !m.down) {
+      throw new Error(`migration ${version} has no down file`);
+    }
+    await runInTransaction(pool, m.down, (client) =>
+      client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        version,
+      ])
+    );
+    console.log(`migrated down: ${m.version}_${m.name}`);
+  }
+  return toRevert;
+}
+
+module.exports = {
+  listMigrations,
+  pendingMigrations,
+  migrateUp,
+  migrateDown,
+};
+
+if (require.main === module) {
+  require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+  const { createPostgresStore } = require("./postgres");
+
+  const [direction = "up", steps] = process.argv.slice(2);
+  const { pool } = createPostgresStore({
+    connectionString: process.env.DATABASE_URL,
+  });
+
+  const run =
+    direction === "down"
+      ? migrateDown(pool, Number(steps) || 1)
+      : direction === "up"
+      ? migrateUp(pool)
+      : Promise.reject(new Error("usage: migrate.js up | down [steps]"));
+
+  run
+    .then((done) => {
+      if (done.length === 0) console.log("nothing to migrate");
+    })
+    .catch((err) => {
+      console.error("migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
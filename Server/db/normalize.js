@@ -0,0 +1,135 @@
+// Server/db/normalize.js
+// single mapping layer between stored rows and the shape the client expects
+
+// convert buffers/bytea-like values to base64 string
+function bufferToBase64(buf) {
+  if (buf === null || buf === undefined) return null;
+  if (typeof buf === "string") return buf;
+  if (Buffer.isBuffer(buf)) return buf.toString("base64");
+  if (ArrayBuffer.isView(buf))
+    return Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength).toString(
+      "base64"
+    );
+  if (typeof buf === "object" && Array.isArray(buf.data))
+    return Buffer.from(buf.data).toString("base64");
+  try {
+    return Buffer.from(JSON.stringify(buf)).toString("base64");
+  } catch (e) {
+    return null;
+  }
+}
+
+// { recipients, delivered, read } from a row's receipt_* counts. Members can
+// leave after getting a message, so recipients is never less than delivered.
+function receiptCounts(row) {
+  const delivered = Number(row.receipt_delivered) || 0;
+  return {
+    recipients: Math.max(Number(row.receipt_members) || 0, delivered),
+    delivered,
+    read: Number(row.receipt_read) || 0,
+  };
+}
+
+// normalize a messages row (columns from migrations/) into the shape the client expects
+function normalizeMessageRow(row) {
+  return {
+    messageId: row.message_id,
+    // history order (pg returns bigint as a string)
+    seq: row.seq == null ? null : Number(row.seq),
+    roomId: row.room_id,
+    senderId: row.sender_id,
+    username: row.username || "Anon",
+    iv: bufferToBase64(row.iv),
+    ciphertext: bufferToBase64(row.ciphertext),
+    createdAt: row.created_at,
+    status: row.status || "sent",
+    deliveredAt: row.delivered_at || null,
+    readAt: row.read_at || null,
+    ratchet: row.ratchet || null,
+    enc: row.enc || null,
+    sig: row.sig || null,
+    revision: row.revision || 0,
+    editedAt: row.edited_at || null,
+    deletedAt: row.deleted_at || null,
+    thread: row.thread_tag || null,
+    expiresAt: row.expires_at || null,
+    receipts: receiptCounts(row),
+  };
+}
+
+// a rooms row's disappearing-message timer (with the username of whoever set
+// it) as { roomId, ttl, setBy, setByName, setAt }
+function normalizeTimerRow(row) {
+  return {
+    roomId: row.id,
+    ttl: row.message_ttl || null,
+    setBy: row.message_ttl_set_by || null,
+    setByName: row.username || null,
+    setAt: row.message_ttl_set_at || null,
+  };
+}
+
+// a rooms row's access settings as { roomId, ownerId, locked,
+// hasAccessToken }; the access token's hash never leaves the server
+function normalizeAccessRow(row) {
+  return {
+    roomId: row.id,
+    ownerId: row.owner_id || null,
+    locked: !!row.locked,
+    hasAccessToken: !!row.access_hash,
+  };
+}
+
+// a room_bans row (with the banned user's name) as { userId, username,
+// bannedBy, bannedAt }
+function normalizeBanRow(row) {
+  return {
+    userId: row.user_id,
+    username: row.username || null,
+    bannedBy: row.banned_by || null,
+    bannedAt: row.banned_at,
+  };
+}
+
+// an invites row as { inviteId, roomId, createdBy, createdAt, expiresAt,
+// maxUses, uses }; neither the token's hash nor the wrapped key is included
+function normalizeInviteRow(row) {
+  return {
+    inviteId: row.id,
+    roomId: row.room_id,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at || null,
+    maxUses: row.max_uses || null,
+    uses: row.uses,
+  };
+}
+
+// deleted message rows as [{ roomId, messageIds, attachmentIds }]
+function groupByRoom(rows) {
+  const byRoom = new Map();
+  for (const row of rows) {
+    if (!byRoom.has(row.room_id)) {
+      byRoom.set(row.room_id, {
+        roomId: row.room_id,
+        messageIds: [],
+        attachmentIds: [],
+      });
+    }
+    const group = byRoom.get(row.room_id);
+    group.messageIds.push(row.message_id);
+    group.attachmentIds.push(...(row.attachment_ids || []));
+  }
+  return [...byRoom.values()];
+}
+
+module.exports = {
+  bufferToBase64,
+  normalizeMessageRow,
+  normalizeTimerRow,
+  normalizeAccessRow,
+  normalizeBanRow,
+  normalizeInviteRow,
+  groupByRoom,
+  receiptCounts,
+};
@@ -0,0 +1,5 @@
+-- 001_init: rooms, users and messages
+
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS rooms;
@@ -0,0 +1,29 @@
+-- 001_init: rooms, users and messages
+
+CREATE TABLE rooms (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_name   text,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE users (
+  id          uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  username    text NOT NULL,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX users_username_idx ON users (username);
+
+CREATE TABLE messages (
+  message_id    uuid PRIMARY KEY,
+  room_id       uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  sender_id     uuid REFERENCES users (id) ON DELETE SET NULL,
+  ciphertext    bytea NOT NULL,
+  iv            bytea NOT NULL,
+  status        text NOT NULL DEFAULT 'sent',
+  delivered_at  timestamptz,
+  read_at       timestamptz,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX messages_room_created_idx ON messages (room_id, created_at);
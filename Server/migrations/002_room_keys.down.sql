@@ -0,0 +1,5 @@
+-- 002_room_keys: passphrase-wrapped room content key
+
+ALTER TABLE rooms
+  DROP COLUMN IF EXISTS key_revision,
+  DROP COLUMN IF EXISTS key_envelope;
@@ -0,0 +1,7 @@
+-- 002_room_keys: passphrase-wrapped room content key
+-- key_envelope is opaque to the server (wrapped key + KDF params + salt);
+-- key_revision bumps on every re-wrap so concurrent changes can't clobber each other
+
+ALTER TABLE rooms
+  ADD COLUMN key_envelope jsonb,
+  ADD COLUMN key_revision integer NOT NULL DEFAULT 0;
@@ -0,0 +1,5 @@
+-- 003_member_keys: passphrase-free (ECDH) rooms
+
+DROP TABLE IF EXISTS member_keys;
+
+ALTER TABLE rooms DROP COLUMN IF EXISTS key_mode;
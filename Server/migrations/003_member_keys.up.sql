@@ -0,0 +1,16 @@
+-- 003_member_keys: passphrase-free (ECDH) rooms
+-- key_mode 'ecdh' rooms have no passphrase envelope; instead every member
+-- publishes an ECDH public key and receives the room key wrapped to it
+
+ALTER TABLE rooms
+  ADD COLUMN key_mode text NOT NULL DEFAULT 'passphrase'
+    CHECK (key_mode IN ('passphrase', 'ecdh'));
+
+CREATE TABLE member_keys (
+  room_id      uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  user_id      uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  public_key   jsonb NOT NULL,
+  wrapped_key  jsonb,
+  updated_at   timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (room_id, user_id)
+);
@@ -0,0 +1,5 @@
+-- 004_sender_keys: sender-key ratchet
+
+DROP TABLE IF EXISTS sender_key_shares;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS ratchet;
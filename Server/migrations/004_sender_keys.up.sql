@@ -0,0 +1,20 @@
+-- 004_sender_keys: sender-key ratchet
+-- messages.ratchet is the opaque { sessionId, index } a ratcheted message was
+-- encrypted at (NULL for messages under the static room key). Sender keys are
+-- shared pairwise, sealed to each member's device key; sender_key_shares queues
+-- them until the recipient acknowledges.
+
+ALTER TABLE messages ADD COLUMN ratchet jsonb;
+
+CREATE TABLE sender_key_shares (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id       uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  recipient_id  uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  sender_id     uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  session_id    text NOT NULL,
+  envelope      jsonb NOT NULL,
+  created_at    timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX sender_key_shares_recipient_idx
+  ON sender_key_shares (room_id, recipient_id, created_at);
@@ -0,0 +1,3 @@
+-- 005_message_envelope: versioned ciphertext envelope
+
+ALTER TABLE messages DROP COLUMN IF EXISTS enc;
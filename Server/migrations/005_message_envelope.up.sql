@@ -0,0 +1,8 @@
+-- 005_message_envelope: versioned ciphertext envelope
+-- messages.enc is the envelope header { v, alg, kdf } the client encrypted
+-- under. The header, roomId, messageId, senderId, createdAt (and ratchet, if
+-- any) are bound as AES-GCM additional data, so the server can't move a
+-- ciphertext to another slot, sender or room. NULL marks a legacy message
+-- encrypted without additional data.
+
+ALTER TABLE messages ADD COLUMN enc jsonb;
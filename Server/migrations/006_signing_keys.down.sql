@@ -0,0 +1,5 @@
+-- 006_signing_keys: per-device ECDSA signing keys
+
+ALTER TABLE messages DROP COLUMN IF EXISTS sig;
+
+ALTER TABLE member_keys DROP COLUMN IF EXISTS signing_key;
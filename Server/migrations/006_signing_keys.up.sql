@@ -0,0 +1,9 @@
+-- 006_signing_keys: per-device ECDSA signing keys
+-- member_keys.signing_key is the member's ECDSA P-256 public key (JWK) next to
+-- its ECDH key; messages.sig is the sender's signature over the message
+-- envelope (base64, NULL for unsigned/legacy messages). The server only
+-- stores both: clients verify and pin keys themselves.
+
+ALTER TABLE member_keys ADD COLUMN signing_key jsonb;
+
+ALTER TABLE messages ADD COLUMN sig text;
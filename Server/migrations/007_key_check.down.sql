@@ -0,0 +1,3 @@
+-- 007_key_check: per-room key check value
+
+ALTER TABLE rooms DROP COLUMN IF EXISTS key_check;
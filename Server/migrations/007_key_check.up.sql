@@ -0,0 +1,8 @@
+-- 007_key_check: per-room key check value
+-- rooms.key_check is a known token encrypted under the room content key by
+-- whoever first set the key ({ v, iv, ciphertext }). A client that can't
+-- decrypt it holds the wrong key (e.g. a mistyped passphrase) and must not
+-- send. Set once; a passphrase change re-wraps the same content key, so the
+-- check stays valid.
+
+ALTER TABLE rooms ADD COLUMN key_check jsonb;
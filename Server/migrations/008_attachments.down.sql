@@ -0,0 +1,3 @@
+-- 008_attachments: encrypted file attachments
+
+DROP TABLE IF EXISTS attachments;
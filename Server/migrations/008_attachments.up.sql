@@ -0,0 +1,15 @@
+-- 008_attachments: encrypted file attachments
+-- Each row is one uploaded blob: the file encrypted client-side in AES-GCM
+-- chunks under the room key, so the server only sees an opaque size. Messages
+-- point at it through an attachment descriptor inside their ciphertext. data
+-- holds the bytes with ATTACHMENT_STORE=db and is NULL when they're on disk.
+
+CREATE TABLE attachments (
+  id          uuid PRIMARY KEY,
+  room_id     uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  size        integer NOT NULL,
+  data        bytea,
+  created_at  timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX attachments_room_idx ON attachments (room_id);
@@ -0,0 +1,10 @@
+-- 009_message_edits: edits and deletions by the sender
+-- tombstones have no ciphertext to restore, so they go
+
+DELETE FROM messages WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE messages DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE messages DROP COLUMN IF EXISTS edited_at;
+ALTER TABLE messages DROP COLUMN IF EXISTS revision;
+ALTER TABLE messages ALTER COLUMN iv SET NOT NULL;
+ALTER TABLE messages ALTER COLUMN ciphertext SET NOT NULL;
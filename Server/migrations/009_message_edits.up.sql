@@ -0,0 +1,12 @@
+-- 009_message_edits: edits and deletions by the sender
+-- An edit replaces the envelope in place with a new one sealed for the next
+-- revision (the revision is bound into the envelope, so an old one can't be
+-- replayed as current). A deletion leaves a tombstone: the ciphertext and
+-- everything describing it are dropped, only the row's place in history and
+-- deleted_at remain.
+
+ALTER TABLE messages ALTER COLUMN ciphertext DROP NOT NULL;
+ALTER TABLE messages ALTER COLUMN iv DROP NOT NULL;
+ALTER TABLE messages ADD COLUMN revision integer NOT NULL DEFAULT 0;
+ALTER TABLE messages ADD COLUMN edited_at timestamptz;
+ALTER TABLE messages ADD COLUMN deleted_at timestamptz;
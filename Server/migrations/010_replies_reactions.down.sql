@@ -0,0 +1,6 @@
+-- 010_replies_reactions: threads and emoji reactions
+
+DROP TABLE IF EXISTS reactions;
+
+DROP INDEX IF EXISTS messages_thread_idx;
+ALTER TABLE messages DROP COLUMN IF EXISTS thread_tag;
@@ -0,0 +1,21 @@
+-- 010_replies_reactions: threads and emoji reactions
+-- What a reply quotes and which emoji a reaction is are inside ciphertext.
+-- The server only sees opaque tags the clients derive under the room key:
+-- messages.thread_tag groups the replies of one thread (the root message
+-- carries none, so the thread can't be tied to it), and reactions are keyed
+-- by reaction_key, one row per member per message and emoji.
+
+ALTER TABLE messages ADD COLUMN thread_tag text;
+
+CREATE INDEX messages_thread_idx
+  ON messages (room_id, thread_tag, created_at)
+  WHERE thread_tag IS NOT NULL;
+
+CREATE TABLE reactions (
+  room_id       uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  sender_id     uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  reaction_key  text NOT NULL,
+  envelope      jsonb NOT NULL,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (room_id, sender_id, reaction_key)
+);
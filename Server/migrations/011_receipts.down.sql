@@ -0,0 +1,3 @@
+-- 011_receipts: per-recipient delivery and read receipts
+
+DROP TABLE IF EXISTS receipts;
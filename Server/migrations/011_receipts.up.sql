@@ -0,0 +1,16 @@
+-- 011_receipts: per-recipient delivery and read receipts
+-- messages.status / delivered_at / read_at said whether anyone had got or
+-- read a message; a receipt row per recipient says who. The old columns stay
+-- for messages from before this, which have no receipts.
+
+CREATE TABLE receipts (
+  message_id    uuid NOT NULL REFERENCES messages (message_id) ON DELETE CASCADE,
+  room_id       uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  user_id       uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  delivered_at  timestamptz NOT NULL DEFAULT now(),
+  read_at       timestamptz,
+  PRIMARY KEY (message_id, user_id)
+);
+
+CREATE INDEX receipts_room_changed_idx
+  ON receipts (room_id, (GREATEST(delivered_at, read_at)));
@@ -0,0 +1,9 @@
+-- 012_disappearing_messages: per-room message timer
+
+DROP INDEX IF EXISTS messages_expires_idx;
+ALTER TABLE messages DROP COLUMN IF EXISTS expires_at;
+
+ALTER TABLE rooms
+  DROP COLUMN IF EXISTS message_ttl_set_at,
+  DROP COLUMN IF EXISTS message_ttl_set_by,
+  DROP COLUMN IF EXISTS message_ttl;
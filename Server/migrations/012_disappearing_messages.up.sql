@@ -0,0 +1,15 @@
+-- 012_disappearing_messages: per-room message timer
+-- message_ttl (seconds, NULL = off) applies to messages sent while it's set:
+-- each message keeps the expires_at it was stored with, so changing the timer
+-- leaves earlier messages alone. Expired rows are hard-deleted by the sweeper.
+-- message_ttl_set_by / _set_at say who last changed it and when.
+
+ALTER TABLE rooms
+  ADD COLUMN message_ttl integer,
+  ADD COLUMN message_ttl_set_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  ADD COLUMN message_ttl_set_at timestamptz;
+
+ALTER TABLE messages ADD COLUMN expires_at timestamptz;
+
+CREATE INDEX messages_expires_idx ON messages (expires_at)
+  WHERE expires_at IS NOT NULL;
@@ -0,0 +1,9 @@
+-- 013_room_access: owners, members, bans and locked rooms
+
+DROP TABLE IF EXISTS room_bans;
+DROP TABLE IF EXISTS room_members;
+
+ALTER TABLE rooms
+  DROP COLUMN IF EXISTS locked,
+  DROP COLUMN IF EXISTS access_hash,
+  DROP COLUMN IF EXISTS owner_id;
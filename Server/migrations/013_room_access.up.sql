@@ -0,0 +1,32 @@
+-- 013_room_access: owners, members, bans and locked rooms
+-- owner_id is whoever created the room; rooms from before this have none and
+-- nobody can moderate them. access_hash is a salted scrypt hash of the token
+-- a newcomer needs to join (NULL: none needed). A locked room takes no new
+-- members at all. room_members is who may read and post in a room, and a ban
+-- keeps a user out until the owner lifts it.
+
+ALTER TABLE rooms
+  ADD COLUMN owner_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  ADD COLUMN access_hash text,
+  ADD COLUMN locked boolean NOT NULL DEFAULT false;
+
+CREATE TABLE room_members (
+  room_id    uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  user_id    uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  joined_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (room_id, user_id)
+);
+
+CREATE TABLE room_bans (
+  room_id    uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  user_id    uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  banned_by  uuid REFERENCES users (id) ON DELETE SET NULL,
+  banned_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (room_id, user_id)
+);
+
+-- whoever already took part in a room stays a member of it
+INSERT INTO room_members (room_id, user_id)
+  SELECT room_id, user_id FROM member_keys
+  UNION
+  SELECT room_id, sender_id FROM messages WHERE sender_id IS NOT NULL;
@@ -0,0 +1,3 @@
+-- 014_invites: shareable invite links
+
+DROP TABLE IF EXISTS invites;
@@ -0,0 +1,21 @@
+-- 014_invites: shareable invite links
+-- An invite admits whoever presents its token (only its SHA-256 is kept),
+-- until it expires, runs out of uses or the owner revokes it. key_envelope
+-- is the room key wrapped under a secret that only the link's #fragment
+-- carries, so the server can't open it; revoking drops it, which makes a
+-- leaked link useless even for the key.
+
+CREATE TABLE invites (
+  id            uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  room_id       uuid NOT NULL REFERENCES rooms (id) ON DELETE CASCADE,
+  token_hash    text NOT NULL UNIQUE,
+  key_envelope  jsonb,
+  created_by    uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at    timestamptz NOT NULL DEFAULT now(),
+  expires_at    timestamptz,
+  max_uses      integer CHECK (max_uses > 0),
+  uses          integer NOT NULL DEFAULT 0,
+  revoked_at    timestamptz
+);
+
+CREATE INDEX invites_room_idx ON invites (room_id, created_at);
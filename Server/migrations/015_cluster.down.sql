@@ -0,0 +1,4 @@
+-- 015_cluster: scratch space for running several server instances
+
+DROP TABLE IF EXISTS rate_buckets;
+DROP TABLE IF EXISTS socket_io_attachments;
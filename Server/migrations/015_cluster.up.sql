@@ -0,0 +1,23 @@
+-- 015_cluster: scratch space for running several server instances
+-- socket_io_attachments carries broadcasts between instances that don't fit
+-- in a NOTIFY payload (8000 bytes): @socket.io/postgres-adapter stores them
+-- here, notifies the row id and deletes them after 30 seconds. rate_buckets
+-- holds the per-IP token buckets every instance spends from (see
+-- ratelimit.js). Neither is worth keeping through a crash, hence UNLOGGED.
+
+CREATE UNLOGGED TABLE socket_io_attachments (
+  id          bigserial PRIMARY KEY,
+  created_at  timestamptz DEFAULT now(),
+  payload     bytea
+);
+
+CREATE UNLOGGED TABLE rate_buckets (
+  name        text NOT NULL,
+  key         text NOT NULL,
+  tokens      double precision NOT NULL,
+  spent       boolean NOT NULL,
+  updated_at  timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (name, key)
+);
+
+CREATE INDEX rate_buckets_updated_idx ON rate_buckets (updated_at);
@@ -0,0 +1,6 @@
+-- 016_message_seq: history order assigned by the server
+
+DROP INDEX IF EXISTS messages_thread_seq_idx;
+DROP INDEX IF EXISTS messages_room_seq_idx;
+ALTER TABLE messages DROP COLUMN IF EXISTS seq;
+DROP SEQUENCE IF EXISTS messages_seq_seq;
@@ -0,0 +1,30 @@
+-- 016_message_seq: history order assigned by the server
+-- created_at is the sender's clock: fine to show, but a sender running
+-- behind (or an outbox sending late) would slip a message in before a
+-- reader's catch-up cursor and it would never be sent. seq is handed out as
+-- messages are stored and is what history pages and catch-ups walk by.
+-- Existing messages keep their created_at order.
+
+CREATE SEQUENCE messages_seq_seq;
+
+ALTER TABLE messages ADD COLUMN seq bigint;
+
+UPDATE messages SET seq = o.n
+FROM (
+  SELECT message_id, row_number() OVER (ORDER BY created_at, message_id) AS n
+  FROM messages
+) o
+WHERE messages.message_id = o.message_id;
+
+SELECT setval('messages_seq_seq', COALESCE(max(seq), 0) + 1, false)
+FROM messages;
+
+ALTER TABLE messages
+  ALTER COLUMN seq SET DEFAULT nextval('messages_seq_seq'),
+  ALTER COLUMN seq SET NOT NULL;
+
+ALTER SEQUENCE messages_seq_seq OWNED BY messages.seq;
+
+CREATE UNIQUE INDEX messages_room_seq_idx ON messages (room_id, seq);
+CREATE INDEX messages_thread_seq_idx ON messages (room_id, thread_tag, seq)
+  WHERE thread_tag IS NOT NULL;
@@ -0,0 +1,8 @@
+-- 017_attachment_messages: which message an attachment belongs to
+
+DROP INDEX IF EXISTS attachments_pending_idx;
+DROP INDEX IF EXISTS attachments_message_idx;
+
+ALTER TABLE attachments
+  DROP COLUMN IF EXISTS pending,
+  DROP COLUMN IF EXISTS message_id;
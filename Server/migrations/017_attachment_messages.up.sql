@@ -0,0 +1,16 @@
+-- 017_attachment_messages: which message an attachment belongs to
+-- The descriptor pointing at an upload is inside the message's ciphertext, so
+-- send-message names the attachment too and the server links the two. That's
+-- what lets deleting (or expiring) a message take its attachment's bytes with
+-- it. An upload is pending until a message claims it; one whose send-message
+-- never arrives is dropped after a while (see db/attachments.js). Uploads from
+-- before this migration can't be linked and are left alone.
+
+ALTER TABLE attachments
+  ADD COLUMN message_id uuid REFERENCES messages (message_id) ON DELETE SET NULL,
+  ADD COLUMN pending boolean NOT NULL DEFAULT false;
+
+CREATE INDEX attachments_message_idx ON attachments (message_id)
+  WHERE message_id IS NOT NULL;
+CREATE INDEX attachments_pending_idx ON attachments (created_at)
+  WHERE pending;
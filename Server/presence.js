@@ -0,0 +1,114 @@
+// Server/presence.js
+// who is connected to each room right now. A user is in a room while any of
+// their sockets is; they're idle only when every one of those sockets says so.
+// Each socket carries its own statuses (socket.data.presence: roomId ->
+// status) and the rest is asked of the room's sockets with fetchSockets(),
+// which with an adapter (see cluster.js) covers every server instance.
+// Nothing is stored: it describes live connections.
+
+const PRESENCE_STATUSES = ["online", "idle"];
+
+function createPresence(io) {
+  // the rooms a socket is present in. Another instance can make it leave a
+  // room but can't touch its data, so the room has to be in both.
+  function roomsOf(socket) {
+    return Object.keys(socket.data.presence || {}).filter((roomId) =>
+      socket.rooms.has(roomId)
+    );
+  }
+
+  function isPresent(socket, roomId) {
+    return roomsOf(socket).includes(roomId);
+  }
+
+  // the room's present sockets, on every instance
+  async function socketsIn(roomId) {
+    const sockets = await io.in(roomId).fetchSockets();
+    return sockets.filter((s) => s.data.presence && s.data.presence[roomId]);
+  }
+
+  function statusOf(sockets, roomId) {
+    return sockets.some((s) => s.data.presence[roomId] === "online")
+      ? "online"
+      : "idle";
+  }
+
+  // [{ userId, username, status }], one per user with sockets in the room
+  function describe(sockets, roomId) {
+    const byUser = new Map();
+    for (const s of sockets) {
+      const own = byUser.get(s.data.userId) || [];
+      byUser.set(s.data.userId, [...own, s]);
+    }
+    return [...byUser].map(([userId, own]) => ({
+      userId,
+      username: own[0].data.username,
+      status: statusOf(own, roomId),
+    }));
+  }
+
+  // whether userId has a socket (other than exceptId) present in the room
+  async function hasUser(roomId, userId, exceptId) {
+    return (await socketsIn(roomId)).some(
+      (s) => s.data.userId === userId && s.id !== exceptId
+    );
+  }
+
+  // put a socket in a room and its presence: the roster, the user as the
+  // room sees them, and `first` when they weren't there before
+  async function join(socket, roomId) {
+    const { userId, username } = socket.data;
+    const already = isPresent(socket, roomId);
+    socket.join(roomId);
+    socket.data.presence = { ...socket.data.presence, [roomId]: "online" };
+    const sockets = await socketsIn(roomId);
+    const members = describe(sockets, roomId);
+    const first =
+      !already &&
+      !sockets.some((s) => s.data.userId === userId && s.id !== socket.id);
+    const member = members.find((m) => m.userId === userId) || {
+      userId,
+      username,
+      status: "online",
+    };
+    return { first, member, members };
+  }
+
+  // take a socket out of a room's presence (before it leaves the room); true
+  // when it was its user's last there
+  async function leave(socket, roomId) {
+    if (!isPresent(socket, roomId)) return false;
+    const rest = { ...socket.data.presence };
+    delete rest[roomId];
+    socket.data.presence = rest;
+    return !(await hasUser(roomId, socket.data.userId, socket.id));
+  }
+
+  // a disconnecting socket: the rooms where it was its user's last. Its
+  // statuses stay, for restoring if the connection is recovered.
+  async function dropSocket(socket) {
+    const last = [];
+    for (const roomId of roomsOf(socket)) {
+      if (!(await hasUser(roomId, socket.data.userId, socket.id))) {
+        last.push(roomId);
+      }
+    }
+    return last;
+  }
+
+  // one socket went idle or came back; the user's status if that changed it
+  async function setStatus(socket, roomId, status) {
+    if (!isPresent(socket, roomId)) return null;
+    const others = (await socketsIn(roomId)).filter(
+      (s) => s.data.userId === socket.data.userId && s.id !== socket.id
+    );
+    const before = statusOf([socket, ...others], roomId);
+    socket.data.presence = { ...socket.data.presence, [roomId]: status };
+    const after = statusOf([socket, ...others], roomId);
+    return after === before ? null : after;
+  }
+
+  return { roomsOf, isPresent, hasUser, join, leave, dropSocket, setStatus };
+}
+
+module.exports = { createPresence, PRESENCE_STATUSES };
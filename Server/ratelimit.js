@@ -0,0 +1,144 @@
+// Server/ratelimit.js
+// token-bucket rate limits. Each limit keeps a bucket per key (an IP, a
+// socket) holding up to `burst` tokens that refill at `perMinute`; every
+// request spends one. Buckets that have filled back up are forgotten, so
+// idle keys cost nothing. Kept in memory, except that with more than one
+// server instance the per-IP buckets are shared (see cluster.js).
+
+// REST routes and new connections are limited per IP, socket events per socket
+const RATE_LIMITS = {
+  session: { burst: 10, perMinute: 10 },
+  "create-room": { burst: 5, perMinute: 5 },
+  // joining checks access tokens, which is slow on purpose (scrypt)
+  join: { burst: 20, perMinute: 20 },
+  rest: { burst: 120, perMinute: 600 },
+  connect: { burst: 20, perMinute: 30 },
+  // send, edit, delete and react
+  messages: { burst: 30, perMinute: 120 },
+  // delivery and read receipts: one per message when history loads
+  receipts: { burst: 300, perMinute: 1200 },
+  // typing and presence-status
+  signals: { burst: 20, perMinute: 60 },
+  // room keys and sender keys: one per member when a session rotates
+  keys: { burst: 500, perMinute: 1200 },
+  // joining and leaving, timers and moderation
+  rooms: { burst: 30, perMinute: 60 },
+};
+
+// which limit each socket event spends from
+const EVENT_LIMITS = {
+  "join-room": "rooms",
+  "leave-room": "rooms",
+  "send-message": "messages",
+  "edit-message": "messages",
+  "delete-message": "messages",
+  react: "messages",
+  unreact: "messages",
+  "message-received": "receipts",
+  "message-read": "receipts",
+  typing: "signals",
+  "presence-status": "signals",
+  "share-room-key": "keys",
+  "sender-key": "keys",
+  "sender-key-received": "keys",
+  "set-message-timer": "rooms",
+  "kick-member": "rooms",
+  "ban-member": "rooms",
+  "unban-member": "rooms",
+  "lock-room": "rooms",
+  "set-access-token": "rooms",
+};
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// `shared` is { take(name, key, limit), start(), stop() } over buckets every
+// instance spends from, when there are several
+function createRateLimits({ limits = RATE_LIMITS, shared = null } = {}) {
+  // limit name -> key -> { tokens, at }
+  const buckets = new Map(Object.keys(limits).map((name) => [name, new Map()]));
+  let timer = null;
+
+  function refill(limit, bucket, now) {
+    const tokens =
+      bucket.tokens + ((now - bucket.at) / 60000) * limit.perMinute;
+    bucket.tokens = Math.min(limit.burst, tokens);
+    bucket.at = now;
+  }
+
+  // spend a token from key's bucket under the named limit: 0 when there was
+  // one, otherwise how long (ms) until there will be
+  function take(name, key) {
+    const limit = limits[name];
+    const keyed = buckets.get(name);
+    const now = Date.now();
+    let bucket = keyed.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, at: now };
+      keyed.set(key, bucket);
+    } else {
+      refill(limit, bucket, now);
+    }
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / limit.perMinute) * 60000);
+  }
+
+  // take() for per-IP limits: from the shared buckets if there are any
+  // (a socket lives on one instance, an IP may reach all of them). If they
+  // can't be reached the request goes through rather than nothing does.
+  async function takeShared(name, key) {
+    if (!shared) return take(name, key);
+    try {
+      return await shared.take(name, key, limits[name]);
+    } catch (err) {
+      console.error("shared rate limit error", err);
+      return 0;
+    }
+  }
+
+  // a socket's buckets go with it
+  function forget(key) {
+    for (const keyed of buckets.values()) keyed.delete(key);
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [name, keyed] of buckets) {
+      for (const [key, bucket] of keyed) {
+        refill(limits[name], bucket, now);
+        if (bucket.tokens >= limits[name].burst) keyed.delete(key);
+      }
+    }
+  }
+
+  // full buckets are swept (here and in the shared ones) from start() until
+  // stop()
+  function start() {
+    if (timer) return;
+    timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+    timer.unref();
+    if (shared) shared.start();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (shared) shared.stop();
+  }
+
+  // Express middleware: the named limit, per client IP (429 when spent)
+  function perIp(name) {
+    return async (req, res, next) => {
+      const retryAfter = await takeShared(name, req.ip);
+      if (!retryAfter) return next();
+      res.set("Retry-After", String(Math.ceil(retryAfter / 1000)));
+      res.status(429).json({ error: "rate limited", retryAfter });
+    };
+  }
+
+  return { take, takeShared, forget, perIp, start, stop };
+}
+
+module.exports = { createRateLimits, RATE_LIMITS, EVENT_LIMITS };
@@ -0,0 +1,320 @@
+// Server/schemas.js
+// what every socket event and REST body may carry. A schema maps each field
+// to a rule (a predicate on its value); checkPayload() keeps just those
+// fields, or names the first one that breaks its rule. Anything that needs
+// the database (is this a member, does the message exist) is the handlers'
+// business.
+
+const { PRESENCE_STATUSES } = require("./presence");
+const { MESSAGE_TTLS } = require("./sweeper");
+const {
+  isAccessToken,
+  ACCESS_TOKEN_MAX,
+  INVITE_TOKEN_MAX,
+} = require("./access");
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// message ciphertext, base64: a little over 64 KB of text, which is as much
+// as clients let anyone send in one message
+const MAX_CIPHERTEXT_LENGTH =
+  Number(process.env.MAX_CIPHERTEXT_LENGTH) || 96 * 1024;
+// AES-GCM IVs are 12 bytes (16 characters of base64)
+const MAX_IV_LENGTH = 24;
+// wrapped key envelopes are a few hundred bytes; anything bigger is junk
+const MAX_KEY_ENVELOPE_BYTES = 4096;
+const MAX_USERNAME_LENGTH = 64;
+const MAX_ROOM_NAME_LENGTH = 100;
+const ROOM_KEY_MODES = ["passphrase", "ecdh"];
+// a message's createdAt is the sender's clock: it may be this far from ours
+// either way, or, for one an outbox held on to (replay: true), this old.
+// History is ordered by seq, so a late one doesn't slip past anyone.
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_REPLAY_AGE_MS = 24 * 60 * 60 * 1000;
+// invites last at most this long (seconds) and admit at most this many
+const INVITE_MAX_TTL = 30 * 24 * 60 * 60;
+const INVITE_MAX_USES = 1000;
+
+// ----- rules -----
+
+const string = (max) => (v) =>
+  typeof v === "string" && v.length > 0 && v.length <= max;
+const uuid = (v) => typeof v === "string" && UUID_RE.test(v);
+const base64 = (max) => (v) =>
+  typeof v === "string" &&
+  v.length > 0 &&
+  v.length <= max &&
+  v.length % 4 === 0 &&
+  BASE64_RE.test(v);
+const integer = (min, max) => (v) =>
+  Number.isInteger(v) && v >= min && v <= max;
+const boolean = (v) => typeof v === "boolean";
+const oneOf = (values) => (v) => values.includes(v);
+const timestamp = (v) =>
+  typeof v === "string" && v.length <= 64 && !Number.isNaN(Date.parse(v));
+// a timestamp at most maxAgeMs behind our clock and CLOCK_SKEW_MS ahead
+const sentWithin = (maxAgeMs) => (v) => {
+  if (!timestamp(v)) return false;
+  const age = Date.now() - Date.parse(v);
+  return age <= maxAgeMs && age >= -CLOCK_SKEW_MS;
+};
+// reported as "invalid <label>" instead of by the field's name
+const named = (label, rule) => Object.assign((v) => rule(v), { label });
+// may be left out / may be null
+const optional = (rule) => named(rule.label, (v) => v === undefined || rule(v));
+const nullable = (rule) => named(rule.label, (v) => v === null || rule(v));
+
+// a P-256 public key as JWK (ECDH device keys and ECDSA signing keys alike)
+function isPublicKeyJwk(jwk) {
+  return (
+    !!jwk &&
+    typeof jwk === "object" &&
+    jwk.kty === "EC" &&
+    jwk.crv === "P-256" &&
+    typeof jwk.x === "string" &&
+    typeof jwk.y === "string" &&
+    !jwk.d
+  );
+}
+
+// key check value: { v, iv, ciphertext } of a known token under the room key
+function isKeyCheck(check) {
+  return (
+    !!check &&
+    typeof check === "object" &&
+    typeof check.iv === "string" &&
+    typeof check.ciphertext === "string" &&
+    JSON.stringify(check).length <= MAX_KEY_ENVELOPE_BYTES
+  );
+}
+
+function isKeyEnvelope(envelope) {
+  return (
+    !!envelope &&
+    typeof envelope === "object" &&
+    typeof envelope.wrappedKey === "string" &&
+    JSON.stringify(envelope).length <= MAX_KEY_ENVELOPE_BYTES
+  );
+}
+
+// passphrase KDF parameters stored with a room key envelope. Clients refuse
+// anything outside these bounds anyway; rejecting it here keeps junk out.
+const KDF_HASHES = ["SHA-256", "SHA-512"];
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 10000000;
+
+function isKdfParams(kdf) {
+  return (
+    !!kdf &&
+    typeof kdf === "object" &&
+    (kdf.v === undefined || (Number.isInteger(kdf.v) && kdf.v > 0)) &&
+    kdf.name === "PBKDF2" &&
+    KDF_HASHES.includes(kdf.hash) &&
+    Number.isInteger(kdf.iterations) &&
+    kdf.iterations >= MIN_KDF_ITERATIONS &&
+    kdf.iterations <= MAX_KDF_ITERATIONS &&
+    typeof kdf.salt === "string"
+  );
+}
+
+// a message envelope header is { v, alg, kdf }: the client checks it (it's
+// bound into the ciphertext), the server only bounds its size
+function isEnvelopeHeader(enc) {
+  return (
+    !!enc &&
+    typeof enc === "object" &&
+    Number.isInteger(enc.v) &&
+    typeof enc.alg === "string" &&
+    enc.alg.length <= 32 &&
+    typeof enc.kdf === "string" &&
+    enc.kdf.length <= 32 &&
+    (enc.cty === undefined ||
+      (typeof enc.cty === "string" && enc.cty.length <= 64))
+  );
+}
+
+// an ECDSA P-256 signature (raw r||s, base64) is 88 characters
+const isSignature = base64(128);
+
+// thread and reaction tags are derived by clients under the room key; to the
+// server they're just short strings to match on
+const isOpaqueTag = string(64);
+
+// a reaction envelope is { iv, ciphertext }, base64
+function isReactionEnvelope(envelope) {
+  return (
+    !!envelope &&
+    typeof envelope === "object" &&
+    base64(32)(envelope.iv) &&
+    base64(1024)(envelope.ciphertext)
+  );
+}
+
+// a ratchet reference is { sessionId, index } — opaque beyond its shape
+function isRatchetRef(ratchet) {
+  return (
+    !!ratchet &&
+    typeof ratchet === "object" &&
+    string(64)(ratchet.sessionId) &&
+    Number.isInteger(ratchet.index) &&
+    ratchet.index >= 0
+  );
+}
+
+// a createdAt for a message sent as it's written (not an outbox replay)
+const isCurrent = sentWithin(CLOCK_SKEW_MS);
+
+// ----- schemas -----
+
+const ciphertext = base64(MAX_CIPHERTEXT_LENGTH);
+const iv = base64(MAX_IV_LENGTH);
+const accessToken = named("access token", string(ACCESS_TOKEN_MAX));
+const receipt = { messageId: named("message id", uuid), roomId: uuid };
+// who the owner is acting on
+const member = { roomId: uuid, userId: named("member", uuid) };
+
+const SCHEMAS = {
+  // socket events
+  "join-room": {
+    roomId: uuid,
+    accessToken: optional(nullable(accessToken)),
+    lastSeen: optional(string(128)),
+    syncedAt: optional(timestamp),
+    publicKey: optional(nullable(named("public key", isPublicKeyJwk))),
+    signingKey: optional(nullable(named("signing key", isPublicKeyJwk))),
+  },
+  "leave-room": { roomId: uuid },
+  "send-message": {
+    messageId: named("message id", uuid),
+    roomId: uuid,
+    ciphertext,
+    iv,
+    createdAt: optional(sentWithin(MAX_REPLAY_AGE_MS)),
+    replay: optional(boolean),
+    ratchet: optional(nullable(isRatchetRef)),
+    enc: optional(nullable(named("message envelope", isEnvelopeHeader))),
+    sig: optional(nullable(named("signature", isSignature))),
+    thread: optional(nullable(isOpaqueTag)),
+    attachmentId: optional(nullable(named("attachment id", uuid))),
+  },
+  "edit-message": {
+    messageId: named("message id", uuid),
+    roomId: uuid,
+    ciphertext,
+    iv,
+    enc: named("message envelope", isEnvelopeHeader),
+    ratchet: optional(nullable(isRatchetRef)),
+    sig: optional(nullable(named("signature", isSignature))),
+    revision: integer(1, Number.MAX_SAFE_INTEGER),
+  },
+  "delete-message": { messageId: named("message id", uuid), roomId: uuid },
+  react: {
+    reactionKey: named("reaction", isOpaqueTag),
+    roomId: uuid,
+    envelope: named("reaction", isReactionEnvelope),
+  },
+  unreact: { reactionKey: named("reaction", isOpaqueTag), roomId: uuid },
+  "message-received": receipt,
+  "message-read": receipt,
+  typing: { roomId: uuid, typing: optional(boolean) },
+  "presence-status": { roomId: uuid, status: oneOf(PRESENCE_STATUSES) },
+  "share-room-key": {
+    roomId: uuid,
+    recipientId: named("recipient", uuid),
+    envelope: named("key envelope", isKeyEnvelope),
+  },
+  "sender-key": {
+    roomId: uuid,
+    recipientId: named("recipient", uuid),
+    sessionId: named("sender key", string(64)),
+    envelope: named("sender key", isKeyEnvelope),
+  },
+  "sender-key-received": { shareId: named("share id", uuid) },
+  "set-message-timer": {
+    roomId: uuid,
+    ttl: named("message timer", nullable(oneOf(MESSAGE_TTLS))),
+  },
+  "kick-member": member,
+  "ban-member": member,
+  "unban-member": member,
+  "lock-room": { roomId: uuid, locked: named("lock", boolean) },
+  "set-access-token": {
+    roomId: uuid,
+    accessToken: nullable(named("access token", isAccessToken)),
+  },
+
+  // REST bodies
+  session: { username: optional(string(MAX_USERNAME_LENGTH)) },
+  "create-room": {
+    room_name: optional(
+      nullable(named("room name", string(MAX_ROOM_NAME_LENGTH)))
+    ),
+    key_mode: optional(named("key_mode", oneOf(ROOM_KEY_MODES))),
+    access_token: optional(named("access token", isAccessToken)),
+  },
+  join: {
+    accessToken: optional(nullable(accessToken)),
+    invite: optional(nullable(string(INVITE_TOKEN_MAX))),
+  },
+  invite: {
+    expiresIn: optional(nullable(named("expiry", integer(1, INVITE_MAX_TTL)))),
+    maxUses: optional(nullable(integer(1, INVITE_MAX_USES))),
+    keyEnvelope: optional(nullable(isKeyEnvelope)),
+  },
+  "room-key": {
+    envelope: named(
+      "key envelope",
+      (e) => isKeyEnvelope(e) && isKdfParams(e.kdf)
+    ),
+    expectedRevision: named(
+      "key envelope",
+      integer(0, Number.MAX_SAFE_INTEGER)
+    ),
+  },
+  "key-check": { keyCheck: isKeyCheck },
+};
+
+// "messageId" -> "message id"
+function describe(field) {
+  return field.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+}
+
+// check a payload against the named schema: { value } with the fields it
+// declares (left-out ones stay out), or { error: "invalid <field>" }
+function checkPayload(name, payload) {
+  const schema = SCHEMAS[name];
+  const given =
+    payload && typeof payload === "object" && !Array.isArray(payload)
+      ? payload
+      : {};
+  const value = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule(given[field])) {
+      return { error: `invalid ${rule.label || describe(field)}` };
+    }
+    if (given[field] !== undefined) value[field] = given[field];
+  }
+  return { value };
+}
+
+// Express middleware: req.body checked against the named schema (400 with
+// the error otherwise) and cut down to the fields it declares
+function body(name) {
+  return (req, res, next) => {
+    const checked = checkPayload(name, req.body);
+    if (checked.error) return res.status(400).json({ error: checked.error });
+    req.body = checked.value;
+    next();
+  };
+}
+
+module.exports = {
+  checkPayload,
+  body,
+  isOpaqueTag,
+  isCurrent,
+  UUID_RE,
+  ROOM_KEY_MODES,
+};
@@ -0,0 +1,69 @@
+// Server/scripts/dev-cluster.js
+// several server instances behind one port, to try SOCKET_ADAPTER locally:
+//   npm run dev:cluster
+// Instances listen on PORT+1, PORT+2, ... (INSTANCES of them, default 2) and
+// a round-robin TCP balancer on PORT (4000, where the web app looks) hands
+// each new connection to the next one, so two browser tabs usually land on
+// different instances; each line of output says which instance wrote it.
+// SOCKET_ADAPTER defaults to postgres, every instance uses DATABASE_URL, and
+// SESSION_SECRET is made up for the run if it isn't set. Clients open a
+// websocket first; the polling fallback needs sticky sessions, which this
+// balancer doesn't do.
+require("dotenv").config();
+
+const { fork } = require("child_process");
+const crypto = require("crypto");
+const net = require("net");
+const path = require("path");
+const readline = require("readline");
+
+const PORT = Number(process.env.PORT) || 4000;
+const INSTANCES = Number(process.env.INSTANCES) || 2;
+
+const env = {
+  ...process.env,
+  SOCKET_ADAPTER: process.env.SOCKET_ADAPTER || "postgres",
+  SESSION_SECRET:
+    process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex"),
+};
+
+const ports = Array.from({ length: INSTANCES }, (_, i) => PORT + 1 + i);
+
+const instances = ports.map((port) => {
+  const child = fork(path.join(__dirname, "..", "index.js"), [], {
+    env: { ...env, PORT: String(port) },
+    silent: true,
+  });
+  for (const [stream, out] of [
+    [child.stdout, process.stdout],
+    [child.stderr, process.stderr],
+  ]) {
+    readline
+      .createInterface({ input: stream })
+      .on("line", (line) => out.write(`[${port}] ${line}\n`));
+  }
+  return child;
+});
+
+let next = 0;
+const balancer = net.createServer((client) => {
+  const upstream = net.connect(ports[next], "127.0.0.1");
+  next = (next + 1) % ports.length;
+  client.pipe(upstream).pipe(client);
+  // either end going away takes the other with it
+  client.on("error", () => upstream.destroy());
+  upstream.on("error", () => client.destroy());
+});
+
+balancer.listen(PORT, () =>
+  console.log(`balancing ${PORT} over ${ports.join(", ")}`)
+);
+
+// one instance stopping stops the rest
+for (const child of instances) {
+  child.on("exit", (code) => {
+    for (const other of instances) other.kill();
+    balancer.close();
+    process.exitCode = code || 0;
+  });
+}
@@ -0,0 +1,59 @@
+// Server/sweeper.js
+// disappearing messages: the timers a room can pick and the background job
+// that hard-deletes expired messages, with their attachments' bytes, and
+// tells each room which ones went. Clients drop expired messages on their
+// own clock as well; this makes it final on the server.
+
+// seconds: 5 minutes, 1 hour, 1 day, 1 week (null turns the timer off)
+const MESSAGE_TTLS = [5 * 60, 60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS) || 30 * 1000;
+
+function createSweeper({
+  db,
+  io,
+  attachments,
+  intervalMs = SWEEP_INTERVAL_MS,
+}) {
+  let timer = null;
+  let sweeping = false;
+
+  async function sweep() {
+    // a slow sweep isn't overlapped by the next tick
+    if (sweeping) return;
+    sweeping = true;
+    try {
+      const expired = await db.deleteExpiredMessages();
+      for (const { roomId, messageIds } of expired) {
+        io.to(roomId).emit("messages-expired", { roomId, messageIds });
+      }
+      for (const { attachmentIds } of expired) {
+        for (const attachmentId of attachmentIds) {
+          await attachments
+            .remove(attachmentId)
+            .catch((err) =>
+              console.error("expired attachment removal failed", err)
+            );
+        }
+      }
+    } catch (err) {
+      console.error("message sweep failed", err);
+    } finally {
+      sweeping = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(sweep, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, sweep };
+}
+
+module.exports = { createSweeper, MESSAGE_TTLS };
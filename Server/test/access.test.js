@@ -0,0 +1,128 @@
+// Server/test/access.test.js
+// who gets into a room and who can take people out of it: history is for
+// members, a ban keeps someone out, a lock or an access token stops
+// newcomers (not members coming back), and only the owner moderates.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { useServer, next } = require("./helpers");
+
+const { request, post, connect } = useServer();
+
+// alice owns the rooms, bob and carol want in; the same three throughout,
+// since sessions are rate limited
+let people;
+async function sessions() {
+  if (!people) {
+    people = {
+      alice: await post("/session", { username: "alice" }),
+      bob: await post("/session", { username: "bob" }),
+      carol: await post("/session", { username: "carol" }),
+    };
+  }
+  return people;
+}
+
+// a socket of the session's, in the room
+async function joined(t, session, roomId) {
+  const socket = connect(session);
+  t.after(() => socket.close());
+  socket.emit("join-room", { roomId });
+  await next(socket, "recent-messages");
+  return socket;
+}
+
+const join = (roomId, session, body = {}) =>
+  request("POST", `/rooms/${roomId}/join`, body, session.token);
+
+test("a non-member can't read a room's history", async () => {
+  const { alice, bob } = await sessions();
+  const { roomId } = await post("/create-room", {}, alice.token);
+  const history = await request(
+    "GET",
+    `/rooms/${roomId}/messages`,
+    undefined,
+    bob.token
+  );
+  assert.strictEqual(history.status, 403);
+  assert.strictEqual(history.body.error, "not a member of this room");
+});
+
+test("a banned user can't join again", async (t) => {
+  const { alice, bob } = await sessions();
+  const { roomId } = await post("/create-room", {}, alice.token);
+  await post(`/rooms/${roomId}/join`, {}, bob.token);
+  const owner = await joined(t, alice, roomId);
+
+  const bans = next(owner, "room-bans");
+  owner.emit("ban-member", { roomId, userId: bob.userId });
+  await bans;
+
+  const refused = await join(roomId, bob);
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.error, "banned from this room");
+
+  const socket = connect(bob);
+  t.after(() => socket.close());
+  const error = next(socket, "join-error");
+  socket.emit("join-room", { roomId });
+  assert.strictEqual((await error).error, "banned from this room");
+});
+
+test("a locked room refuses newcomers but lets members back", async (t) => {
+  const { alice, bob, carol } = await sessions();
+  const { roomId } = await post("/create-room", {}, alice.token);
+  await post(`/rooms/${roomId}/join`, {}, bob.token);
+  const owner = await joined(t, alice, roomId);
+
+  const access = next(owner, "room-access");
+  owner.emit("lock-room", { roomId, locked: true });
+  assert.strictEqual((await access).locked, true);
+
+  const refused = await join(roomId, carol);
+  assert.strictEqual(refused.status, 403);
+  assert.strictEqual(refused.body.error, "room is locked");
+  assert.strictEqual((await join(roomId, bob)).status, 200);
+  await joined(t, bob, roomId);
+});
+
+test("a room with an access token refuses a wrong one", async () => {
+  const { alice, bob } = await sessions();
+  const { roomId } = await post(
+    "/create-room",
+    { access_token: "open sesame" },
+    alice.token
+  );
+
+  const missing = await join(roomId, bob);
+  assert.strictEqual(missing.status, 403);
+  assert.strictEqual(missing.body.error, "access token required");
+  const wrong = await join(roomId, bob, { accessToken: "open sesami" });
+  assert.strictEqual(wrong.status, 403);
+  assert.strictEqual(wrong.body.error, "invalid access token");
+  const right = await join(roomId, bob, { accessToken: "open sesame" });
+  assert.strictEqual(right.status, 200);
+});
+
+test("only the owner can kick or ban", async (t) => {
+  const { alice, bob, carol } = await sessions();
+  const { roomId } = await post("/create-room", {}, alice.token);
+  await post(`/rooms/${roomId}/join`, {}, bob.token);
+  await post(`/rooms/${roomId}/join`, {}, carol.token);
+  const member = await joined(t, bob, roomId);
+
+  for (const event of ["kick-member", "ban-member"]) {
+    const error = next(member, "moderation-error");
+    member.emit(event, { roomId, userId: carol.userId });
+    const refused = await error;
+    assert.strictEqual(refused.event, event);
+    assert.strictEqual(refused.error, "only the room owner can do that");
+  }
+
+  const history = await request(
+    "GET",
+    `/rooms/${roomId}/messages`,
+    undefined,
+    carol.token
+  );
+  assert.strictEqual(history.status, 200);
+});
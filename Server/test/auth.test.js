@@ -0,0 +1,97 @@
+// Server/test/auth.test.js
+// who a request is from comes only from a session token the server signed:
+// without one, or with a forged one, REST calls and sockets are refused, and
+// a payload can't say it's from someone else.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { useServer, next, message } = require("./helpers");
+
+const { request, post, connect } = useServer();
+
+// a token in the server's format, signed under a secret that isn't its own
+function forge(claims) {
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const mac = crypto
+    .createHmac("sha256", crypto.randomBytes(32))
+    .update(body)
+    .digest("base64url");
+  return `${body}.${mac}`;
+}
+
+// the error the socket's connection is refused with
+function refusal(socket) {
+  return new Promise((resolve, reject) => {
+    socket.once("connect", () => reject(new Error("connection accepted")));
+    socket.once("connect_error", (err) => resolve(err.message));
+  });
+}
+
+test("REST calls and sockets need a genuine session token", async (t) => {
+  const alice = await post("/session", { username: "alice" });
+  const { roomId } = await post("/create-room", {}, alice.token);
+  const claims = {
+    sub: alice.userId,
+    name: "alice",
+    iat: Date.now(),
+    exp: Date.now() + 60 * 60 * 1000,
+  };
+  // alice's claims under a made-up signature, and under one of her own
+  // tokens' signatures (which only covers that token's claims)
+  const forged = forge(claims);
+  const spliced = `${forged.split(".")[0]}.${alice.token.split(".")[1]}`;
+
+  for (const token of [undefined, "", forged, spliced]) {
+    const history = await request(
+      "GET",
+      `/rooms/${roomId}/messages`,
+      undefined,
+      token
+    );
+    assert.strictEqual(history.status, 401);
+    const joined = await request("POST", `/rooms/${roomId}/join`, {}, token);
+    assert.strictEqual(joined.status, 401);
+
+    const socket = connect({ token });
+    t.after(() => socket.close());
+    assert.strictEqual(await refusal(socket), "unauthorized");
+  }
+
+  const genuine = await request(
+    "GET",
+    `/rooms/${roomId}/messages`,
+    undefined,
+    alice.token
+  );
+  assert.strictEqual(genuine.status, 200);
+});
+
+test("a message claiming another sender is stored as the session's", async (t) => {
+  const alice = await post("/session", { username: "alice" });
+  const bob = await post("/session", { username: "bob" });
+  const { roomId } = await post("/create-room", {}, alice.token);
+  await post(`/rooms/${roomId}/join`, {}, bob.token);
+
+  const sender = connect(alice);
+  t.after(() => sender.close());
+  sender.emit("join-room", { roomId });
+  await next(sender, "recent-messages");
+
+  const saved = next(sender, "message-saved");
+  const sent = message(roomId, new Date().toISOString(), {
+    senderId: bob.userId,
+    username: "bob",
+  });
+  sender.emit("send-message", sent);
+  assert.strictEqual((await saved).senderId, alice.userId);
+
+  const { body } = await request(
+    "GET",
+    `/rooms/${roomId}/messages`,
+    undefined,
+    bob.token
+  );
+  const stored = body.messages.find((m) => m.messageId === sent.messageId);
+  assert.strictEqual(stored.senderId, alice.userId);
+  assert.strictEqual(stored.username, "alice");
+});
@@ -0,0 +1,108 @@
+// Server/test/helpers.js
+// what the tests share: a server of the file's own on the memory backend
+// (so its rate limits and rooms are the file's too), and clients for it
+const { before, after } = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const net = require("net");
+const path = require("path");
+const { io } = require("socket.io-client");
+
+// a port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// run index.js for the tests in this file: started before the first, killed
+// after the last. Returns the clients, which work once it's up.
+function useServer() {
+  let server;
+  let url;
+
+  before(async () => {
+    const port = await freePort();
+    url = `http://localhost:${port}`;
+    server = spawn(process.execPath, ["index.js"], {
+      cwd: path.join(__dirname, ".."),
+      env: {
+        ...process.env,
+        DB_BACKEND: "memory",
+        PORT: String(port),
+        SESSION_SECRET: crypto.randomBytes(32).toString("hex"),
+      },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    await new Promise((resolve, reject) => {
+      server.stdout.on("data", (chunk) => {
+        if (String(chunk).includes("Server listening")) resolve();
+      });
+      server.on("exit", (code) => reject(new Error(`server exited: ${code}`)));
+    });
+  });
+
+  after(() => server.kill());
+
+  // { status, body } of a REST call; the token, if any, as a bearer
+  async function request(method, route, body, token) {
+    const res = await fetch(url + route, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  // a POST that has to succeed: its response body
+  async function post(route, body, token) {
+    const { status, body: result } = await request("POST", route, body, token);
+    assert.ok(status < 300, `${route}: HTTP ${status}`);
+    return result;
+  }
+
+  // a socket with the handshake auth { token } (a session will do)
+  function connect(auth) {
+    return io(url, {
+      transports: ["websocket"],
+      forceNew: true,
+      reconnection: false,
+      auth: { token: auth.token },
+    });
+  }
+
+  return { request, post, connect };
+}
+
+// the next `event` the socket gets
+function next(socket, event) {
+  return new Promise((resolve) => socket.once(event, resolve));
+}
+
+// a send-message payload with random ciphertext
+function message(roomId, createdAt, extra) {
+  return {
+    messageId: crypto.randomUUID(),
+    roomId,
+    ciphertext: crypto.randomBytes(24).toString("base64"),
+    iv: crypto.randomBytes(12).toString("base64"),
+    createdAt,
+    ...extra,
+  };
+}
+
+// a createdAt `hours` before now
+function hoursAgo(hours) {
+  return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+module.exports = { useServer, next, message, hoursAgo };
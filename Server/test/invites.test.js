@@ -0,0 +1,103 @@
+// Server/test/invites.test.js
+// an invite lets newcomers past a room's access token only while it's live:
+// not once it's expired, used up or revoked, and never more times than it
+// allows, however many redeem it at once.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { useServer } = require("./helpers");
+
+const { request, post } = useServer();
+
+// the owner and five newcomers; the same ones throughout, since sessions are
+// rate limited. Newcomers an invite didn't admit can try the next one.
+let people;
+async function sessions() {
+  if (!people) {
+    people = { owner: await post("/session", { username: "owner" }) };
+    people.newcomers = [];
+    for (let i = 0; i < 5; i++) {
+      people.newcomers.push(await post("/session", { username: `guest${i}` }));
+    }
+  }
+  return people;
+}
+
+// a room that needs an access token, so only an invite gets anyone in
+let room;
+async function roomId() {
+  const { owner } = await sessions();
+  if (!room) {
+    ({ roomId: room } = await post(
+      "/create-room",
+      { access_token: "not for guests" },
+      owner.token
+    ));
+  }
+  return room;
+}
+
+async function invite(body) {
+  const { owner } = await sessions();
+  return post(`/rooms/${await roomId()}/invites`, body, owner.token);
+}
+
+async function redeem(session, token) {
+  const route = `/rooms/${await roomId()}/join`;
+  return request("POST", route, { invite: token }, session.token);
+}
+
+function assertRefused(response) {
+  assert.strictEqual(response.status, 403);
+  assert.strictEqual(response.body.error, "invite expired or revoked");
+}
+
+test("an expired invite is refused", async () => {
+  const { newcomers } = await sessions();
+  const { token } = await invite({ expiresIn: 1 });
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assertRefused(await redeem(newcomers[0], token));
+});
+
+test("a used-up invite is refused", async () => {
+  const { newcomers } = await sessions();
+  const { token } = await invite({ maxUses: 1 });
+  const admitted = await redeem(newcomers[0], token);
+  assert.strictEqual(admitted.status, 200);
+  assert.ok(admitted.body.invite);
+  assertRefused(await redeem(newcomers[1], token));
+});
+
+test("a revoked invite is refused", async () => {
+  const { owner, newcomers } = await sessions();
+  const { invite: created, token } = await invite({});
+  const revoked = await request(
+    "DELETE",
+    `/rooms/${await roomId()}/invites/${created.inviteId}`,
+    undefined,
+    owner.token
+  );
+  assert.strictEqual(revoked.status, 200);
+  assertRefused(await redeem(newcomers[1], token));
+});
+
+test("redeeming at once doesn't get past maxUses", async () => {
+  const { owner, newcomers } = await sessions();
+  const { invite: created, token } = await invite({ maxUses: 2 });
+  const results = await Promise.all(
+    newcomers.slice(1).map((session) => redeem(session, token))
+  );
+  const admitted = results.filter((r) => r.status === 200);
+  assert.strictEqual(admitted.length, 2);
+  for (const refused of results.filter((r) => r.status !== 200)) {
+    assertRefused(refused);
+  }
+
+  const { body } = await request(
+    "GET",
+    `/rooms/${await roomId()}/invites`,
+    undefined,
+    owner.token
+  );
+  const listed = body.invites.find((i) => i.inviteId === created.inviteId);
+  assert.strictEqual(listed.uses, 2);
+});
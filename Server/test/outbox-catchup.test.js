@@ -0,0 +1,69 @@
+// Server/test/outbox-catchup.test.js
+// a message flushed from an outbox long after it was written still reaches
+// members who were away: catch-up goes by the order the server stored
+// messages in, not by the createdAt the sender stamped on them.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { useServer, next, message, hoursAgo } = require("./helpers");
+
+const { post, connect } = useServer();
+
+test("a stale-dated outbox message is in the next catch-up", async () => {
+  const alice = await post("/session", { username: "alice" });
+  const bob = await post("/session", { username: "bob" });
+  const { roomId } = await post("/create-room", {}, alice.token);
+  await post(`/rooms/${roomId}/join`, {}, bob.token);
+
+  const sender = connect(alice);
+  sender.emit("join-room", { roomId });
+  await next(sender, "recent-messages");
+
+  // bob is there for the first message and notes where he's up to
+  let reader = connect(bob);
+  reader.emit("join-room", { roomId });
+  await next(reader, "recent-messages");
+  const live = next(reader, "message");
+  sender.emit("send-message", message(roomId, new Date().toISOString()));
+  const seen = await live;
+  reader.close();
+
+  // written while alice was offline, sent from her outbox once she's back
+  const queued = message(roomId, hoursAgo(2), { replay: true });
+  const saved = next(sender, "message-saved");
+  sender.emit("send-message", queued);
+  await saved;
+
+  reader = connect(bob);
+  reader.emit("join-room", { roomId, lastSeen: String(seen.seq) });
+  const { messages, hasMore } = await next(reader, "catch-up");
+  reader.close();
+  sender.close();
+
+  assert.strictEqual(hasMore, false);
+  assert.deepStrictEqual(
+    messages.map((m) => m.messageId),
+    [queued.messageId]
+  );
+  assert.ok(messages[0].seq > seen.seq);
+});
+
+test("only an outbox replay may carry an old createdAt", async (t) => {
+  const alice = await post("/session", { username: "alice" });
+  const { roomId } = await post("/create-room", {}, alice.token);
+  const sender = connect(alice);
+  t.after(() => sender.close());
+  sender.emit("join-room", { roomId });
+  await next(sender, "recent-messages");
+
+  const refused = next(sender, "send-error");
+  sender.emit("send-message", message(roomId, hoursAgo(2)));
+  assert.strictEqual((await refused).error, "invalid created at");
+
+  const tooOld = next(sender, "send-error");
+  sender.emit("send-message", message(roomId, hoursAgo(48), { replay: true }));
+  assert.strictEqual((await tooOld).error, "invalid created at");
+
+  const saved = next(sender, "message-saved");
+  sender.emit("send-message", message(roomId, hoursAgo(2), { replay: true }));
+  assert.ok((await saved).seq);
+});
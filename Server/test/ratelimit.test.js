@@ -0,0 +1,27 @@
+// Server/test/ratelimit.test.js
+// a socket that sends faster than its bucket refills is told so, on the
+// event's error channel, with how long to wait
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { RATE_LIMITS } = require("../ratelimit");
+const { useServer, next, message } = require("./helpers");
+
+const { post, connect } = useServer();
+
+test("a burst past the bucket is rate limited", async (t) => {
+  const alice = await post("/session", { username: "alice" });
+  const { roomId } = await post("/create-room", {}, alice.token);
+  const sender = connect(alice);
+  t.after(() => sender.close());
+  sender.emit("join-room", { roomId });
+  await next(sender, "recent-messages");
+
+  const refused = next(sender, "send-error");
+  for (let i = 0; i <= RATE_LIMITS.messages.burst; i++) {
+    sender.emit("send-message", message(roomId, new Date().toISOString()));
+  }
+  const { event, error, retryAfter } = await refused;
+  assert.strictEqual(event, "send-message");
+  assert.strictEqual(error, "rate limited");
+  assert.ok(retryAfter > 0);
+});
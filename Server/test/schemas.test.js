@@ -0,0 +1,56 @@
+// Server/test/schemas.test.js
+// what checkPayload lets through: a table of send-message payloads, each
+// with the error it should get (undefined: none)
+const { test } = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const { checkPayload, isCurrent } = require("../schemas");
+const { message, hoursAgo } = require("./helpers");
+
+const minutesAhead = (minutes) =>
+  new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const roomId = crypto.randomUUID();
+
+const CASES = [
+  ["a well-formed message", {}, undefined],
+  [
+    "an oversize ciphertext",
+    { ciphertext: "A".repeat(96 * 1024 + 4) },
+    "invalid ciphertext",
+  ],
+  ["an iv that isn't base64", { iv: "not base64!!" }, "invalid iv"],
+  ["an iv with a stray character", { iv: "AAAAAAAAAAAAAAA=A" }, "invalid iv"],
+  ["a roomId that isn't a UUID", { roomId: "lobby" }, "invalid room id"],
+  [
+    "a createdAt past the replay window",
+    { createdAt: hoursAgo(25), replay: true },
+    "invalid created at",
+  ],
+  [
+    "a createdAt too far ahead",
+    { createdAt: minutesAhead(10) },
+    "invalid created at",
+  ],
+  [
+    "a replay inside the window",
+    { createdAt: hoursAgo(23), replay: true },
+    undefined,
+  ],
+];
+
+for (const [name, fields, error] of CASES) {
+  test(`send-message: ${name}`, () => {
+    const payload = { ...message(roomId, new Date().toISOString()), ...fields };
+    assert.strictEqual(checkPayload("send-message", payload).error, error);
+  });
+}
+
+// what isn't a replay has to be within the clock skew (send-message checks
+// this itself, since the schema allows for replays)
+test("createdAt outside the clock skew isn't current", () => {
+  assert.strictEqual(isCurrent(new Date().toISOString()), true);
+  assert.strictEqual(isCurrent(minutesAhead(4)), true);
+  assert.strictEqual(isCurrent(minutesAhead(6)), false);
+  assert.strictEqual(isCurrent(hoursAgo(0.1)), false);
+});
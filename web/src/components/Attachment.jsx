@@ -0,0 +1,96 @@
+// web/src/components/Attachment.jsx
+// an attachment in a message: images are fetched, decrypted and shown inline;
+// other files download and decrypt when asked
+import React, { useEffect, useState } from "react";
+import { downloadAttachment } from "../utils/api";
+import {
+  decryptAttachment,
+  formatBytes,
+  PREVIEW_TYPES,
+} from "../utils/attachments";
+
+// images bigger than this wait for a click like any other file
+const AUTO_PREVIEW_MAX = 8 * 1024 * 1024;
+
+async function fetchPlain(roomId, roomKey, descriptor) {
+  const data = await downloadAttachment(roomId, descriptor.id);
+  return decryptAttachment(roomKey, data, descriptor, roomId);
+}
+
+export default function Attachment({ descriptor, roomId, roomKey }) {
+  // the descriptor is re-parsed on every render; key effects on its fields
+  const { id, type, size, chunkSize } = descriptor;
+  const previewable = PREVIEW_TYPES.includes(type) && size <= AUTO_PREVIEW_MAX;
+  const [previewUrl, setPreviewUrl] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!previewable || !roomKey) return;
+    let url = null;
+    let cancelled = false;
+    fetchPlain(roomId, roomKey, { id, type, size, chunkSize })
+      .then((blob) => {
+        if (cancelled) return;
+        url = URL.createObjectURL(blob);
+        setPreviewUrl(url);
+      })
+      .catch((err) => {
+        console.warn("attachment preview failed", err);
+        if (!cancelled) setError("Couldn't decrypt this image.");
+      });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [previewable, roomId, roomKey, id, type, size, chunkSize]);
+
+  const download = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const blob = await fetchPlain(roomId, roomKey, descriptor);
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = descriptor.name;
+      a.click();
+      // give the download a moment to start before dropping the blob
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    } catch (err) {
+      console.warn("attachment download failed", err);
+      setError("Couldn't download or decrypt this file.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="attachment">
+      {previewUrl ? (
+        <img
+          className="attachment-image"
+          src={previewUrl}
+          alt={descriptor.name}
+        />
+      ) : (
+        <div className="attachment-file">
+          <span className="attachment-name">{descriptor.name}</span>
+          <span className="attachment-size">
+            {formatBytes(descriptor.size)}
+          </span>
+          {!previewable && (
+            <button
+              className="btn-link"
+              onClick={download}
+              disabled={busy || !roomKey}
+            >
+              {busy ? "Decrypting…" : "Download"}
+            </button>
+          )}
+        </div>
+      )}
+      {error && <div className="verify-fail">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+// web/src/components/ChatHeader.jsx
+// the chat page's header: which room this is, and the room's settings and
+// panels (the owner's moderation among them) as buttons
+import React from "react";
+import { MESSAGE_TIMERS } from "../utils/messageTimer";
+
+export default function ChatHeader({
+  roomId,
+  roomAccess,
+  isOwner,
+  hasKey,
+  canChangePassphrase,
+  memberCount,
+  messageTimer,
+  readReceipts,
+  onToggleVerify,
+  onTogglePassChange,
+  onToggleMembers,
+  onChangeTimer,
+  onToggleLock,
+  onChangeAccessCode,
+  onToggleInvites,
+  onToggleReadReceipts,
+  onClearLocalData,
+  onLeave,
+}) {
+  return (
+    <header className="chat-header">
+      <h3>Private Room</h3>
+      <p className="room-id">Room: {roomId}</p>
+      {roomAccess && roomAccess.locked && (
+        <span className="room-locked" title="Not taking new members">
+          🔒 Locked
+        </span>
+      )}
+      {hasKey && (
+        <button className="btn-link" onClick={onToggleVerify}>
+          Safety numbers
+        </button>
+      )}
+      {canChangePassphrase && (
+        <button className="btn-link" onClick={onTogglePassChange}>
+          Change passphrase
+        </button>
+      )}
+      <button className="btn-link" onClick={onToggleMembers}>
+        Members ({memberCount})
+      </button>
+      {hasKey && (
+        <label
+          className="timer-select"
+          title="Messages sent from now on disappear after this long"
+        >
+          Disappearing:{" "}
+          <select
+            value={messageTimer && messageTimer.ttl ? messageTimer.ttl : ""}
+            onChange={(e) => onChangeTimer(e.target.value)}
+            disabled={!messageTimer}
+          >
+            {MESSAGE_TIMERS.map((t) => (
+              <option key={t.label} value={t.ttl || ""}>
+                {t.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {isOwner && (
+        <button
+          className="btn-link"
+          onClick={onToggleLock}
+          title="Whether new members can join"
+        >
+          {roomAccess.locked ? "Unlock room" : "Lock room"}
+        </button>
+      )}
+      {isOwner && (
+        <button
+          className="btn-link"
+          onClick={onChangeAccessCode}
+          title="What newcomers need to join (separate from the passphrase)"
+        >
+          Access code: {roomAccess.hasAccessToken ? "on" : "off"}
+        </button>
+      )}
+      {isOwner && hasKey && (
+        <button
+          className="btn-link"
+          onClick={onToggleInvites}
+          title="Links that let someone in and give them the room key"
+        >
+          Invite links
+        </button>
+      )}
+      <button
+        className="btn-link"
+        onClick={onToggleReadReceipts}
+        title="Whether others see when you've read their messages"
+      >
+        Read receipts: {readReceipts ? "on" : "off"}
+      </button>
+      <button
+        className="btn-link"
+        onClick={onClearLocalData}
+        title="Remove what this device keeps of your rooms"
+      >
+        Clear local data
+      </button>
+      <button className="btn-link" onClick={onLeave}>
+        Leave room
+      </button>
+    </header>
+  );
+}
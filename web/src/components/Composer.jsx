@@ -0,0 +1,88 @@
+// web/src/components/Composer.jsx
+// where a message is written: text, an attachment, and the bar saying which
+// message is being edited or replied to
+import React, { useRef } from "react";
+import { parseBody } from "../utils/content";
+
+export default function Composer({
+  text,
+  editing,
+  replyingTo,
+  nameOf,
+  disabled,
+  onChange,
+  onBlur,
+  onSend,
+  onAttach,
+  onCancelEdit,
+  onCancelReply,
+}) {
+  const fileInputRef = useRef(null);
+
+  return (
+    <>
+      {editing && (
+        <div className="editing-bar">
+          Editing message
+          <button className="btn-link" onClick={onCancelEdit}>
+            Cancel
+          </button>
+        </div>
+      )}
+      {replyingTo && (
+        <div className="editing-bar">
+          <span className="reply-preview">
+            Replying to {nameOf(replyingTo.senderId)}:{" "}
+            {(parseBody(replyingTo.plaintext, replyingTo.enc) || {}).text}
+          </span>
+          <button className="btn-link" onClick={onCancelReply}>
+            Cancel
+          </button>
+        </div>
+      )}
+      <div className="composer">
+        <input
+          ref={fileInputRef}
+          type="file"
+          hidden
+          onChange={(e) => {
+            onAttach(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+        <button
+          className="btn btn-attach"
+          title="Attach a file (encrypted before upload)"
+          onClick={() => fileInputRef.current.click()}
+          disabled={disabled || !!editing}
+        >
+          📎
+        </button>
+        <textarea
+          className="composer-input"
+          placeholder="Type a message"
+          value={text}
+          onChange={(e) => onChange(e.target.value)}
+          onBlur={onBlur}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey) {
+              e.preventDefault();
+              onSend();
+            } else if (e.key === "Escape" && editing) {
+              onCancelEdit();
+            } else if (e.key === "Escape" && replyingTo) {
+              onCancelReply();
+            }
+          }}
+        />
+        <button
+          className="btn btn-send"
+          onClick={onSend}
+          disabled={!text.trim() || disabled}
+        >
+          {editing ? "Save" : "Send"}
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,33 @@
+// web/src/components/ExpiryTimer.jsx
+// how long a disappearing message has left, counting down
+import React, { useEffect, useState } from "react";
+
+// "6d", "5h", "12m", "40s"
+function formatLeft(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  if (s >= 86400) return `${Math.floor(s / 86400)}d`;
+  if (s >= 3600) return `${Math.floor(s / 3600)}h`;
+  if (s >= 60) return `${Math.floor(s / 60)}m`;
+  return `${s}s`;
+}
+
+export default function ExpiryTimer({ expiresAt }) {
+  const [now, setNow] = useState(() => Date.now());
+  const left = new Date(expiresAt).getTime() - now;
+  // tick every second in the last couple of minutes, otherwise now and then
+  const fast = left < 2 * 60 * 1000;
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), fast ? 1000 : 30000);
+    return () => clearInterval(timer);
+  }, [fast]);
+
+  return (
+    <span
+      className="expiry"
+      title={`Disappears ${new Date(expiresAt).toLocaleString()}`}
+    >
+      ⏱ {formatLeft(left)}
+    </span>
+  );
+}
@@ -0,0 +1,162 @@
+// web/src/components/InvitePanel.jsx
+// the room owner's invite links: make one (it lets its holder in past the
+// lock and access code, and carries the room key wrapped under a secret only
+// the link has), see who's used them and revoke them
+import React, { useEffect, useState } from "react";
+import { wrapRoomKeyForInvite } from "../utils/crypto";
+import { createInvite, getInvites, revokeInvite } from "../utils/api";
+import { inviteLink } from "../utils/invite";
+
+const INVITE_EXPIRIES = [
+  { seconds: 60 * 60, label: "1 hour" },
+  { seconds: 24 * 60 * 60, label: "1 day" },
+  { seconds: 7 * 24 * 60 * 60, label: "1 week" },
+  { seconds: 30 * 24 * 60 * 60, label: "30 days" },
+];
+const INVITE_USES = [
+  { uses: 1, label: "1 use" },
+  { uses: 5, label: "5 uses" },
+  { uses: 25, label: "25 uses" },
+  { uses: null, label: "No limit" },
+];
+
+// "3 of 5 uses · expires 20/10/2026, 14:00"
+function describeInvite(invite) {
+  const uses = invite.maxUses
+    ? `${invite.uses} of ${invite.maxUses} uses`
+    : `${invite.uses} uses`;
+  if (!invite.expiresAt) return uses;
+  const expiresAt = new Date(invite.expiresAt);
+  const when = expiresAt.toLocaleString([], {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+  return `${uses} · ${expiresAt < new Date() ? "expired" : "expires"} ${when}`;
+}
+
+export default function InvitePanel({ roomId, wrappableKey, onClose }) {
+  const [invites, setInvites] = useState([]);
+  const [expiresIn, setExpiresIn] = useState(INVITE_EXPIRIES[1].seconds);
+  const [maxUses, setMaxUses] = useState(INVITE_USES[0].uses);
+  const [creating, setCreating] = useState(false);
+  // { url, copied } of the link just made: its token is never shown again
+  const [link, setLink] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getInvites(roomId)
+      .then((list) => {
+        if (!cancelled) setInvites(list);
+      })
+      .catch((err) => console.warn("load invites failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  const create = async () => {
+    setCreating(true);
+    try {
+      const { secret, envelope } = await wrapRoomKeyForInvite(
+        await wrappableKey(),
+        roomId
+      );
+      const { invite, token } = await createInvite(roomId, {
+        expiresIn,
+        maxUses,
+        keyEnvelope: envelope,
+      });
+      setInvites((prev) => [invite, ...prev]);
+      const url = inviteLink(roomId, token, secret);
+      let copied = true;
+      try {
+        await navigator.clipboard.writeText(url);
+      } catch (err) {
+        console.warn("clipboard copy failed", err);
+        copied = false;
+      }
+      setLink({ url, copied });
+    } catch (err) {
+      console.error("create invite failed", err);
+      alert("Couldn't create the invite link.");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const revoke = async (invite) => {
+    try {
+      await revokeInvite(roomId, invite.inviteId);
+      setInvites((prev) => prev.filter((i) => i.inviteId !== invite.inviteId));
+    } catch (err) {
+      console.error("revoke invite failed", err);
+      alert("Couldn't revoke the invite link.");
+    }
+  };
+
+  return (
+    <div className="unlock-panel invite-panel">
+      <div className="verify-head">
+        <strong>Invite links</strong>
+        <button className="btn-link" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      <div className="invite-options">
+        <label className="timer-select">
+          Expires after{" "}
+          <select
+            value={expiresIn}
+            onChange={(e) => setExpiresIn(Number(e.target.value))}
+          >
+            {INVITE_EXPIRIES.map((o) => (
+              <option key={o.seconds} value={o.seconds}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="timer-select">
+          Good for{" "}
+          <select
+            value={maxUses || ""}
+            onChange={(e) => setMaxUses(Number(e.target.value) || null)}
+          >
+            {INVITE_USES.map((o) => (
+              <option key={o.label} value={o.uses || ""}>
+                {o.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="btn-link" onClick={create} disabled={creating}>
+          {creating ? "Creating…" : "Create link"}
+        </button>
+      </div>
+      {link && (
+        <div className="invite-link">
+          <input
+            className="input"
+            readOnly
+            value={link.url}
+            onFocus={(e) => e.target.select()}
+          />
+          <span className="hint">
+            {link.copied ? "Copied. " : ""}Anyone with this link can join and
+            read the room: share it privately.
+          </span>
+        </div>
+      )}
+      {invites.map((invite) => (
+        <div key={invite.inviteId} className="member">
+          <span>{describeInvite(invite)}</span>
+          <span className="member-actions">
+            <button className="btn-link" onClick={() => revoke(invite)}>
+              Revoke
+            </button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
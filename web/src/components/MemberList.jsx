@@ -0,0 +1,67 @@
+// web/src/components/MemberList.jsx
+// who is connected to the room right now, online before idle. The room's
+// owner also gets to remove or ban members and lift bans here.
+import React from "react";
+
+export default function MemberList({
+  members,
+  userId,
+  ownerId,
+  bans = [],
+  onKick,
+  onBan,
+  onUnban,
+  onClose,
+}) {
+  const sorted = [...members].sort(
+    (a, b) =>
+      (a.status === "idle") - (b.status === "idle") ||
+      (a.username || "").localeCompare(b.username || "")
+  );
+  return (
+    <div className="unlock-panel member-list">
+      <div className="verify-head">
+        <strong>In this room ({members.length})</strong>
+        <button className="btn-link" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {sorted.map((m) => (
+        <div key={m.userId} className="member">
+          <span className={`presence-dot presence-${m.status}`} />
+          <span>
+            {m.username || "Anon"}
+            {m.userId === userId && " (you)"}
+          </span>
+          {m.userId === ownerId && <span className="member-role">owner</span>}
+          {m.status === "idle" && <span className="member-idle">idle</span>}
+          {m.userId !== userId && onKick && (
+            <span className="member-actions">
+              <button className="btn-link" onClick={() => onKick(m)}>
+                Remove
+              </button>
+              <button className="btn-link" onClick={() => onBan(m)}>
+                Ban
+              </button>
+            </span>
+          )}
+        </div>
+      ))}
+      {bans.length > 0 && (
+        <>
+          <strong>Banned ({bans.length})</strong>
+          {bans.map((b) => (
+            <div key={b.userId} className="member">
+              <span>{b.username || "Anon"}</span>
+              <span className="member-actions">
+                <button className="btn-link" onClick={() => onUnban(b)}>
+                  Lift ban
+                </button>
+              </span>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+// web/src/components/MessageBubble.jsx
+// one message in the list: who sent it and whether its signature checks out,
+// what it says (or that it's deleted), its attachment and reactions, and what
+// can be done with it; ours carry their send status and receipts
+import React from "react";
+import {
+  TRUST_VERIFIED,
+  TRUST_KEY_CHANGED,
+  TRUST_CONFIRMED,
+} from "../utils/trust";
+import Attachment from "./Attachment";
+import ExpiryTimer from "./ExpiryTimer";
+import Reactions from "./Reactions";
+import ReactionPicker from "./ReactionPicker";
+import ReceiptDetails from "./ReceiptDetails";
+import Tick from "./Tick";
+
+// whether the sender's signature checks out against their key on this device
+function TrustBadge({ level, onAcceptKey }) {
+  if (!level) return null;
+  if (level === TRUST_CONFIRMED) {
+    return (
+      <span
+        className="trust trust-verified"
+        title="Signed with the key whose safety number you compared"
+      >
+        ✓✓ verified
+      </span>
+    );
+  }
+  if (level === TRUST_VERIFIED) {
+    return (
+      <span
+        className="trust trust-verified"
+        title="Signed with this member's known key"
+      >
+        ✓ verified
+      </span>
+    );
+  }
+  if (level === TRUST_KEY_CHANGED) {
+    return (
+      <button
+        className="trust trust-changed"
+        title="Signed with a key this device hasn't seen for this member"
+        onClick={onAcceptKey}
+      >
+        ⚠ key changed
+      </button>
+    );
+  }
+  return (
+    <span
+      className="trust trust-unverified"
+      title="Unsigned, or the signature doesn't match this member's key"
+    >
+      unverified
+    </span>
+  );
+}
+
+export default function MessageBubble({
+  msg,
+  body,
+  userId,
+  roomId,
+  roomKey,
+  trust,
+  status,
+  replies,
+  reactionCounts,
+  pickerOpen,
+  receiptsOpen,
+  nameOf,
+  onJump,
+  onOpenThread,
+  onReply,
+  onTogglePicker,
+  onToggleReaction,
+  onEdit,
+  onDelete,
+  onRetry,
+  onDiscard,
+  onAcceptKey,
+  onToggleReceipts,
+  onCloseReceipts,
+}) {
+  const mine = msg.senderId === userId;
+  // prefer msg.username, but fallback to local stored username for safety
+  const username = msg.username || localStorage.getItem("username") || "Anon";
+  const textToShow = body ? body.text : "Encrypted message (unlock to view)";
+  const delivered =
+    !msg.deletedAt && msg.status !== "sending" && msg.status !== "failed";
+  // delivered messages we can read can be replied and reacted to;
+  // our own can be edited (text) or deleted
+  const replyable = delivered && !!body;
+  const editable = mine && delivered;
+  const createdAt = msg.createdAt;
+
+  return (
+    <div
+      id={`msg-${msg.messageId}`}
+      className={`msg-row ${mine ? "mine" : "theirs"}`}
+    >
+      <div className={`bubble ${mine ? "bubble-mine" : "bubble-theirs"}`}>
+        {!mine && (
+          <div
+            style={{
+              fontSize: 12,
+              opacity: 0.85,
+              marginBottom: 6,
+              fontWeight: 500,
+            }}
+          >
+            {username}{" "}
+            {!msg.deletedAt && (
+              <TrustBadge
+                level={trust}
+                onAcceptKey={() => onAcceptKey(msg.senderId)}
+              />
+            )}
+          </div>
+        )}
+        {body && body.replyTo && (
+          <button className="msg-quote" onClick={() => onJump(body.replyTo)}>
+            <span className="msg-quote-name">
+              {nameOf(body.replyTo.senderId)}
+            </span>
+            {body.replyTo.text}
+          </button>
+        )}
+        {msg.deletedAt ? (
+          <div className="msg-text msg-deleted">Message deleted</div>
+        ) : (
+          textToShow && <div className="msg-text">{textToShow}</div>
+        )}
+        {body && body.attachment && (
+          <Attachment
+            descriptor={body.attachment}
+            roomId={roomId}
+            roomKey={roomKey}
+          />
+        )}
+        {!msg.deletedAt && (
+          <Reactions
+            counts={reactionCounts}
+            userId={userId}
+            nameOf={nameOf}
+            onToggle={(emoji) => onToggleReaction(msg, emoji)}
+          />
+        )}
+        {pickerOpen && (
+          <ReactionPicker onPick={(emoji) => onToggleReaction(msg, emoji)} />
+        )}
+        <div className="msg-meta">
+          <div className="time">
+            {createdAt ? new Date(createdAt).toLocaleTimeString() : ""}
+          </div>
+          {msg.expiresAt && <ExpiryTimer expiresAt={msg.expiresAt} />}
+          {msg.editedAt && !msg.deletedAt && (
+            <span
+              className="edited"
+              title={new Date(msg.editedAt).toLocaleString()}
+            >
+              edited
+            </span>
+          )}
+          {replies > 0 && (
+            <button className="btn-link" onClick={() => onOpenThread(msg)}>
+              {replies === 1 ? "1 reply" : `${replies} replies`}
+            </button>
+          )}
+          {(replyable || editable) && (
+            <span className="msg-actions">
+              {replyable && (
+                <>
+                  <button className="btn-link" onClick={() => onReply(msg)}>
+                    Reply
+                  </button>
+                  <button
+                    className="btn-link"
+                    onClick={() => onTogglePicker(msg)}
+                  >
+                    React
+                  </button>
+                </>
+              )}
+              {editable && body && (
+                <button className="btn-link" onClick={() => onEdit(msg)}>
+                  Edit
+                </button>
+              )}
+              {editable && (
+                <button className="btn-link" onClick={() => onDelete(msg)}>
+                  Delete
+                </button>
+              )}
+            </span>
+          )}
+          {mine && msg.status === "failed" && (
+            <span className="msg-actions msg-failed">
+              Not sent
+              <button className="btn-link" onClick={() => onRetry(msg)}>
+                Retry
+              </button>
+              <button className="btn-link" onClick={() => onDiscard(msg)}>
+                Discard
+              </button>
+            </span>
+          )}
+          <div className="tick-wrap">
+            {mine && (
+              <Tick
+                status={status}
+                receipts={msg.receipts}
+                onShowReceipts={() => onToggleReceipts(msg)}
+              />
+            )}
+          </div>
+        </div>
+        {receiptsOpen && (
+          <ReceiptDetails
+            roomId={roomId}
+            messageId={msg.messageId}
+            receipts={msg.receipts}
+            onClose={onCloseReceipts}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+// web/src/components/ReactionPicker.jsx
+// the emojis a message can be reacted with
+import React from "react";
+import { REACTION_EMOJIS } from "../utils/relations";
+
+export default function ReactionPicker({ onPick }) {
+  return (
+    <div className="reaction-picker">
+      {REACTION_EMOJIS.map((emoji) => (
+        <button key={emoji} onClick={() => onPick(emoji)}>
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// web/src/components/Reactions.jsx
+// a message's reactions: one button per emoji with how many picked it (who,
+// on hover). Clicking one adds ours or takes it back.
+import React from "react";
+
+export default function Reactions({ counts, userId, nameOf, onToggle }) {
+  if (!counts) return null;
+  return (
+    <div className="reactions">
+      {counts.map(({ emoji, senderIds }) => (
+        <button
+          key={emoji}
+          className={`reaction ${senderIds.includes(userId) ? "mine" : ""}`}
+          title={senderIds.map(nameOf).join(", ")}
+          onClick={() => onToggle(emoji)}
+        >
+          {emoji} {senderIds.length}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+// web/src/components/ReceiptDetails.jsx
+// who has read one of our messages and who only has it delivered; refetched
+// when its receipt counts change
+import React, { useEffect, useState } from "react";
+import { getMessageReceipts } from "../utils/api";
+
+const timeOf = (ts) => new Date(ts).toLocaleString();
+
+export default function ReceiptDetails({
+  roomId,
+  messageId,
+  receipts,
+  onClose,
+}) {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const delivered = receipts ? receipts.delivered : 0;
+  const read = receipts ? receipts.read : 0;
+
+  useEffect(() => {
+    let cancelled = false;
+    getMessageReceipts(roomId, messageId)
+      .then((d) => {
+        if (!cancelled) setDetails(d);
+      })
+      .catch((err) => {
+        console.warn("receipts fetch failed", err);
+        if (!cancelled) setError("Couldn't load receipts.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, messageId, delivered, read]);
+
+  const readBy = details ? details.receipts.filter((r) => r.readAt) : [];
+  const deliveredTo = details ? details.receipts.filter((r) => !r.readAt) : [];
+  const waiting = details ? details.recipients - details.delivered : 0;
+
+  return (
+    <div className="receipt-details">
+      <div className="verify-head">
+        <strong>Receipts</strong>
+        <button className="btn-link" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {error && <div className="verify-fail">{error}</div>}
+      {!details && !error && <div className="hint">Loading…</div>}
+      {details && (
+        <>
+          <div className="receipt-group">Read by</div>
+          {readBy.length === 0 && <div className="hint">No one yet</div>}
+          {readBy.map((r) => (
+            <div key={r.userId} className="receipt">
+              <span>{r.username}</span>
+              <span className="receipt-time">{timeOf(r.readAt)}</span>
+            </div>
+          ))}
+          {deliveredTo.length > 0 && (
+            <div className="receipt-group">Delivered to</div>
+          )}
+          {deliveredTo.map((r) => (
+            <div key={r.userId} className="receipt">
+              <span>{r.username}</span>
+              <span className="receipt-time">{timeOf(r.deliveredAt)}</span>
+            </div>
+          ))}
+          {waiting > 0 && (
+            <div className="hint">
+              Not delivered yet to {waiting}{" "}
+              {waiting === 1 ? "member" : "members"}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+// web/src/components/StrengthMeter.jsx
+// bar + label for a passphrase being picked, with a warning when it's weak
+import React from "react";
+import { passphraseStrength } from "../utils/passphrase";
+
+export default function StrengthMeter({ passphrase }) {
+  if (!passphrase) return null;
+  const { score, label, warning } = passphraseStrength(passphrase);
+  return (
+    <div className="strength">
+      <div className={`strength-bar strength-${score}`}>
+        {[0, 1, 2, 3].map((i) => (
+          <span key={i} className={i < score ? "on" : ""} />
+        ))}
+      </div>
+      <span className="strength-label">{label}</span>
+      {warning && <div className="strength-warning">{warning}</div>}
+    </div>
+  );
+}
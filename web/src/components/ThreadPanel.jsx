@@ -0,0 +1,66 @@
+// web/src/components/ThreadPanel.jsx
+// one thread: its root, if it's loaded, and its replies from the message list
+// and from the server, oldest first. A reply from here goes to the newest
+// message in it.
+import React from "react";
+import { parseBody } from "../utils/content";
+
+export default function ThreadPanel({
+  rootId,
+  messages,
+  serverReplies,
+  nameOf,
+  onJump,
+  onReply,
+  onClose,
+}) {
+  const root = messages.find((m) => m.messageId === rootId);
+  const rootBody =
+    root && !root.deletedAt ? parseBody(root.plaintext, root.enc) : null;
+
+  const replies = [];
+  const seen = new Set();
+  for (const m of [...messages, ...serverReplies]) {
+    if (seen.has(m.messageId) || m.deletedAt) continue;
+    const body = parseBody(m.plaintext, m.enc);
+    if (!body || !body.replyTo || body.replyTo.rootId !== rootId) continue;
+    seen.add(m.messageId);
+    replies.push({ msg: m, body });
+  }
+  replies.sort((a, b) => new Date(a.msg.createdAt) - new Date(b.msg.createdAt));
+  const tail = replies.length ? replies[replies.length - 1].msg : root;
+
+  return (
+    <div className="thread-panel">
+      <div className="thread-header">
+        <span>Thread</span>
+        <button className="btn-link" onClick={onClose}>
+          Close
+        </button>
+      </div>
+      {rootBody && (
+        <button
+          className="msg-quote"
+          onClick={() => onJump({ messageId: rootId, rootId })}
+        >
+          <span className="msg-quote-name">{nameOf(root.senderId)}</span>
+          {rootBody.text}
+        </button>
+      )}
+      {replies.map(({ msg, body }) => (
+        <div key={msg.messageId} className="thread-reply">
+          <span className="msg-quote-name">{nameOf(msg.senderId)}</span>
+          {body.text || (body.attachment && body.attachment.name)}
+        </div>
+      ))}
+      {replies.length === 0 && (
+        <div className="hint">No replies loaded yet.</div>
+      )}
+      {tail && (
+        <button className="btn-link" onClick={() => onReply(tail)}>
+          Reply in thread
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// web/src/components/Tick.jsx
+// ✓ sent, ✓✓ delivered to everyone, blue ✓✓ read by everyone, for one of our
+// messages; with receipts the counts are in the title and a click lists who
+import React from "react";
+
+export default function Tick({ status, receipts: r, onShowReceipts }) {
+  if (status === "sending") {
+    return (
+      <span className="tick" title="Waiting to send">
+        …
+      </span>
+    );
+  }
+  if (status === "failed") return null;
+  if (!r || r.delivered === 0) {
+    // no receipts yet, or a message from before per-recipient receipts
+    if (status === "delivered") return <span className="tick">✓✓</span>;
+    if (status === "read") {
+      return <span className="tick tick-read">✓✓</span>;
+    }
+    return <span className="tick">✓</span>;
+  }
+  const all = r.recipients;
+  const summary =
+    `Delivered to ${r.delivered} of ${all}` +
+    (r.read > 0 ? `, read by ${r.read}` : "");
+  return (
+    <button
+      className={`tick tick-button ${r.read === all ? "tick-read" : ""}`}
+      title={summary}
+      onClick={onShowReceipts}
+    >
+      {r.delivered === all ? "✓✓" : "✓"}
+      {all > 1 && (
+        <span className="tick-count">
+          {r.read > 0 ? `${r.read}/${all}` : `${r.delivered}/${all}`}
+        </span>
+      )}
+    </button>
+  );
+}
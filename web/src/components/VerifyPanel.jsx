@@ -0,0 +1,267 @@
+// web/src/components/VerifyPanel.jsx
+// safety numbers for the room key and for each member's signing key, with a
+// QR code the other device can scan instead of reading digits aloud
+import React, { useEffect, useRef, useState } from "react";
+import QRCode from "qrcode";
+import jsQR from "jsqr";
+import {
+  memberFingerprint,
+  pairSafetyNumber,
+  roomSafetyNumber,
+  formatSafetyNumber,
+} from "../utils/crypto";
+import {
+  loadPin,
+  pinSigningKey,
+  sameKey,
+  verificationCode,
+  checkVerificationCode,
+} from "../utils/trust";
+
+// camera preview that reports the first QR code it reads
+function QrScanner({ onResult, onCancel }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+  // the camera is opened once; don't restart it when the callback changes
+  const onResultRef = useRef(onResult);
+
+  useEffect(() => {
+    onResultRef.current = onResult;
+  }, [onResult]);
+
+  useEffect(() => {
+    let stream = null;
+    let frame = null;
+    let stopped = false;
+    const canvas = document.createElement("canvas");
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+    const tick = () => {
+      if (stopped) return;
+      const video = videoRef.current;
+      if (video && video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height);
+        if (code) {
+          stopped = true;
+          onResultRef.current(code.data);
+          return;
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    navigator.mediaDevices
+      .getUserMedia({ video: { facingMode: "environment" } })
+      .then((s) => {
+        stream = s;
+        if (stopped) return;
+        videoRef.current.srcObject = s;
+        videoRef.current.play();
+        frame = requestAnimationFrame(tick);
+      })
+      .catch((err) => {
+        console.warn("camera unavailable", err);
+        setError("Couldn't open the camera. Compare the numbers instead.");
+      });
+
+    return () => {
+      stopped = true;
+      if (frame) cancelAnimationFrame(frame);
+      if (stream) stream.getTracks().forEach((t) => t.stop());
+    };
+  }, []);
+
+  return (
+    <div className="qr-scanner">
+      {error ? (
+        <div className="hint">{error}</div>
+      ) : (
+        <video ref={videoRef} muted playsInline />
+      )}
+      <button className="btn-link" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+export default function VerifyPanel({
+  roomId,
+  userId,
+  roomKey,
+  signingKey,
+  members,
+  onConfirmed,
+  onClose,
+}) {
+  const [roomNumber, setRoomNumber] = useState(null);
+  const [peerId, setPeerId] = useState("");
+  const [numbers, setNumbers] = useState(null);
+  const [qr, setQr] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [confirmed, setConfirmed] = useState(false);
+
+  const others = members.filter((m) => m.userId !== userId && m.signingKey);
+  const peer = others.find((m) => m.userId === peerId) || null;
+
+  useEffect(() => {
+    if (!roomKey) return;
+    roomSafetyNumber(roomKey, roomId)
+      .then(setRoomNumber)
+      .catch((err) => console.warn("room safety number failed", err));
+  }, [roomKey, roomId]);
+
+  // fingerprints, pair number and QR for the selected member
+  const peerKey = peer && peer.signingKey;
+  useEffect(() => {
+    setNumbers(null);
+    setQr(null);
+    setResult(null);
+    setScanning(false);
+    if (!peerKey || !signingKey) return;
+    let cancelled = false;
+    (async () => {
+      const ownFingerprint = await memberFingerprint(signingKey, userId);
+      const peerFingerprint = await memberFingerprint(peerKey, peerId);
+      const pin = await loadPin(peerId);
+      const code = verificationCode({
+        roomId,
+        roomNumber,
+        ownId: userId,
+        ownFingerprint,
+        peerId,
+        peerFingerprint,
+      });
+      const dataUrl = await QRCode.toDataURL(code, { margin: 1, width: 220 });
+      if (cancelled) return;
+      setNumbers({ ownFingerprint, peerFingerprint });
+      setConfirmed(!!pin && pin.confirmed && sameKey(pin.signingKey, peerKey));
+      setQr(dataUrl);
+    })().catch((err) => console.warn("safety number failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [peerKey, peerId, signingKey, userId, roomId, roomNumber]);
+
+  const confirmPeer = async () => {
+    await pinSigningKey(peerId, peerKey, true);
+    setConfirmed(true);
+    onConfirmed(peerId);
+  };
+
+  const onScan = async (text) => {
+    setScanning(false);
+    const check = checkVerificationCode(text, {
+      roomId,
+      roomNumber,
+      ownId: userId,
+      peerId,
+      ...numbers,
+    });
+    setResult(check);
+    if (check.ok) await confirmPeer();
+  };
+
+  return (
+    <div className="unlock-panel verify-panel">
+      <div className="verify-head">
+        <strong>Safety numbers</strong>
+        <button className="btn-link" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="hint">
+        Room key — everyone who can read this room sees the same number:
+      </div>
+      <div className="safety-number">
+        {roomNumber ? formatSafetyNumber(roomNumber) : "…"}
+      </div>
+
+      {!signingKey ? (
+        <div className="hint">
+          This browser has no signing key, so members can't be verified here.
+        </div>
+      ) : others.length === 0 ? (
+        <div className="hint">No other members have published keys yet.</div>
+      ) : (
+        <>
+          <select
+            className="input"
+            value={peerId}
+            onChange={(e) => setPeerId(e.target.value)}
+          >
+            <option value="">Verify a member…</option>
+            {others.map((m) => (
+              <option key={m.userId} value={m.userId}>
+                {m.username}
+              </option>
+            ))}
+          </select>
+
+          {peer && numbers && (
+            <>
+              <div className="hint">
+                Compare with {peer.username} in person or over a call. The
+                number is the same on both devices:
+              </div>
+              <div className="safety-number">
+                {formatSafetyNumber(
+                  pairSafetyNumber(
+                    numbers.ownFingerprint,
+                    numbers.peerFingerprint
+                  )
+                )}
+              </div>
+              {qr && (
+                <img
+                  className="safety-qr"
+                  src={qr}
+                  alt="QR code with your safety number"
+                />
+              )}
+              {scanning ? (
+                <QrScanner
+                  onResult={onScan}
+                  onCancel={() => setScanning(false)}
+                />
+              ) : (
+                <div className="verify-actions">
+                  <button
+                    className="btn"
+                    onClick={() => {
+                      setResult(null);
+                      setScanning(true);
+                    }}
+                  >
+                    Scan their code
+                  </button>
+                  {!confirmed && (
+                    <button className="btn-link" onClick={confirmPeer}>
+                      Numbers match — mark verified
+                    </button>
+                  )}
+                </div>
+              )}
+              {result && (
+                <div className={result.ok ? "verify-ok" : "verify-fail"}>
+                  {result.ok ? "Safety numbers match." : result.reason}
+                </div>
+              )}
+              {confirmed && (
+                <div className="verify-ok">
+                  {peer.username}'s key is verified on this device.
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
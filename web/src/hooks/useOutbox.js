@@ -0,0 +1,137 @@
+// web/src/hooks/useOutbox.js
+// what we send goes through the outbox (utils/outbox.js): queued before it's
+// emitted, shown as sending until the server saves it, and kept for a retry
+// when the server refuses it or we're offline
+import { useCallback, useEffect } from "react";
+import {
+  queueOutgoing,
+  outboxFor,
+  markOutgoing,
+  removeOutgoing,
+} from "../utils/outbox";
+import { roomSocket, isOffline } from "../utils/roomSocket";
+import {
+  decryptPage,
+  mergeMessage,
+  normalizeHistoryMessage,
+} from "../utils/history";
+
+// the send-message payload of a local message. Who sent it isn't part of
+// it: the server records the message under the socket's session.
+function outgoingPayload(m) {
+  const { messageId, roomId, ciphertext, iv } = m;
+  const { createdAt, ratchet, enc, sig, thread, attachmentId } = m;
+  return {
+    messageId,
+    roomId,
+    ciphertext,
+    iv,
+    createdAt,
+    ratchet,
+    enc,
+    sig,
+    thread,
+    attachmentId,
+  };
+}
+
+// send what's waiting in the outbox, oldest first. Messages the server
+// refused wait for a retry; resending one it already has is harmless. They
+// go as replays: the server takes an older createdAt from the outbox than
+// from a message sent as it's written.
+export async function flushOutbox(roomId) {
+  if (isOffline()) return;
+  for (const entry of await outboxFor(roomId)) {
+    if (!entry.failed) {
+      roomSocket().emit("send-message", {
+        ...outgoingPayload(entry.payload),
+        replay: true,
+      });
+    }
+  }
+}
+
+export function useOutbox(roomId, { keyRef, setMessages }) {
+  // messages still in the outbox from an earlier visit (sent once connected)
+  useEffect(() => {
+    if (!roomId) return;
+    let cancelled = false;
+    outboxFor(roomId)
+      .then(async (entries) => {
+        const queued = await decryptPage(
+          keyRef.current,
+          roomId,
+          entries.map((e) =>
+            normalizeHistoryMessage({
+              ...e.payload,
+              status: e.failed ? "failed" : "sending",
+            })
+          )
+        );
+        if (!cancelled) {
+          setMessages((prev) => queued.reduce(mergeMessage, prev));
+        }
+      })
+      .catch((err) => console.warn("outbox load failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, keyRef, setMessages]);
+
+  // queue a sealed message (as it's kept locally: in the outbox too, so it
+  // can be shown and decrypted on a later visit) and send it if we're
+  // connected; otherwise it goes once we are
+  const queueMessage = async (payload) => {
+    try {
+      await queueOutgoing(payload);
+    } catch (err) {
+      // without IndexedDB it's only sent if we're connected now
+      console.warn("outbox unavailable", err);
+    }
+    if (!isOffline()) {
+      roomSocket().emit("send-message", outgoingPayload(payload));
+    }
+  };
+
+  // send a refused message again
+  const retrySend = async (msg) => {
+    const entry = await markOutgoing(msg.messageId, null).catch(() => null);
+    setMessages((prev) =>
+      prev.map((m) =>
+        m.messageId === msg.messageId ? { ...m, status: "sending" } : m
+      )
+    );
+    if (isOffline()) return;
+    roomSocket().emit("send-message", {
+      ...outgoingPayload(entry ? entry.payload : msg),
+      replay: true,
+    });
+  };
+
+  // give up on a message that was never accepted
+  const discardSend = async (msg) => {
+    if (!window.confirm("Discard this unsent message?")) return;
+    await removeOutgoing(msg.messageId).catch((err) =>
+      console.warn("outbox cleanup failed", err)
+    );
+    setMessages((prev) => prev.filter((m) => m.messageId !== msg.messageId));
+  };
+
+  // the server refused a message: it stays in the outbox until retried or
+  // discarded
+  const markFailed = useCallback(
+    (messageId, error) => {
+      markOutgoing(messageId, error || "send failed").catch((e) =>
+        console.warn("outbox update failed", e)
+      );
+      setMessages((prev) =>
+        prev.map((m) =>
+          m.messageId === messageId ? { ...m, status: "failed" } : m
+        )
+      );
+    },
+    [setMessages]
+  );
+
+  return { queueMessage, retrySend, discardSend, markFailed };
+}
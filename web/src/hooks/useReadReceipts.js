@@ -0,0 +1,28 @@
+// web/src/hooks/useReadReceipts.js
+// whether we tell senders we've read their messages (delivery is always
+// acknowledged), remembered on this device
+import { useRef, useState } from "react";
+import { roomSocket, isOffline } from "../utils/roomSocket";
+
+export function useReadReceipts(roomId, userId, messagesRef) {
+  const [readReceipts, setReadReceipts] = useState(
+    () => localStorage.getItem("readReceipts") !== "off"
+  );
+  // the same, for socket handlers
+  const readReceiptsRef = useRef(readReceipts);
+
+  // turning read receipts back on tells senders about what we've read since
+  const toggleReadReceipts = () => {
+    const next = !readReceipts;
+    setReadReceipts(next);
+    readReceiptsRef.current = next;
+    localStorage.setItem("readReceipts", next ? "on" : "off");
+    if (!next || isOffline()) return;
+    for (const m of messagesRef.current) {
+      if (m.senderId === userId || m.plaintext === undefined) continue;
+      roomSocket().emit("message-read", { messageId: m.messageId, roomId });
+    }
+  };
+
+  return { readReceipts, readReceiptsRef, toggleReadReceipts };
+}
@@ -0,0 +1,204 @@
+// web/src/hooks/useRoomKey.js
+// the room key as the chat page holds it: which kind of room this is, and
+// unlocking it with the passphrase, an invite link's key or (in ecdh rooms) a
+// member's share. The key itself isn't extractable; whoever re-wraps it asks
+// wrappableKeyRef for a copy that is.
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  wrapRoomKey,
+  unwrapRoomKey,
+  unwrapRoomKeyFromInvite,
+} from "../utils/crypto";
+import { putRoomKey } from "../utils/api";
+import { isWeakPassphrase } from "../utils/passphrase";
+import {
+  fetchRoomRecord,
+  ensureKeyCheck,
+  resolveRoomKey,
+  WRONG_PASSPHRASE,
+  NO_ROOM_KEY,
+  WEAK_PASSPHRASE_CONFIRM,
+} from "../utils/roomKey";
+
+// `admitted`: the room has us, so its key record can be read. `mayWrap`:
+// we may store (or re-wrap) the room key; see resolveRoomKey.
+export function useRoomKey(roomId, { admitted, mayWrap }) {
+  const [key, setKey] = useState(null);
+  // the key opened the room's key check value; sending waits for this
+  const [keyVerified, setKeyVerified] = useState(false);
+  // server revision of the wrapped room key (null: room has no stored key)
+  const [keyRevision, setKeyRevision] = useState(null);
+  // "passphrase" or "ecdh" (passphrase-free, keys shared between members)
+  const [roomMode, setRoomMode] = useState(null);
+  // the room has no passphrase yet: the first unlock picks it
+  const [passphraseUnset, setPassphraseUnset] = useState(false);
+  // the room key envelope an invite link brought us, with the link's secret
+  // to open it
+  const [inviteKey, setInviteKey] = useState(null);
+  const [changingPass, setChangingPass] = useState(false);
+  const keyRef = useRef(null);
+  // resolves an extractable copy of the room key (which isn't one) to re-wrap
+  // it, unwrapped again from where the key came from
+  const wrappableKeyRef = useRef(null);
+  const roomModeRef = useRef(null);
+
+  useEffect(() => {
+    keyRef.current = key;
+  }, [key]);
+
+  useEffect(() => {
+    roomModeRef.current = roomMode;
+  }, [roomMode]);
+
+  // take a key as the room's, with the revision of its stored envelope and a
+  // way to get an extractable copy of it
+  const adoptKey = useCallback((k, { revision, verified, wrappable }) => {
+    keyRef.current = k;
+    wrappableKeyRef.current = wrappable;
+    setKey(k);
+    setKeyRevision(revision);
+    setKeyVerified(verified);
+  }, []);
+
+  // which kind of room this is decides how it unlocks
+  useEffect(() => {
+    if (!roomId || !admitted) return;
+    fetchRoomRecord(roomId)
+      .then((record) => {
+        setRoomMode((record && record.mode) || "passphrase");
+        setPassphraseUnset(!!record && !record.envelope && !record.keyCheck);
+      })
+      .catch((err) => {
+        console.warn("room mode lookup failed, assuming passphrase", err);
+        setRoomMode("passphrase");
+      });
+  }, [roomId, admitted]);
+
+  // an invite link carries the room key: open it with the link's secret
+  // rather than asking for the passphrase (or waiting for a member to share)
+  useEffect(() => {
+    if (!roomId || !inviteKey) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        const { envelope, secret } = inviteKey;
+        const k = await unwrapRoomKeyFromInvite(envelope, secret, roomId);
+        const record = await fetchRoomRecord(roomId);
+        if (!(await ensureKeyCheck(roomId, k, record && record.keyCheck))) {
+          throw new Error("invite key doesn't match the room's key check");
+        }
+        if (cancelled || keyRef.current) return;
+        adoptKey(k, {
+          revision: record && record.envelope ? record.revision : null,
+          verified: true,
+          wrappable: () =>
+            unwrapRoomKeyFromInvite(envelope, secret, roomId, {
+              extractable: true,
+            }),
+        });
+      } catch (err) {
+        console.error("invite key unlock failed", err);
+        if (!cancelled) {
+          alert("The invite link's key didn't open this room.");
+        }
+      } finally {
+        if (!cancelled) setInviteKey(null);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, inviteKey, adoptKey]);
+
+  // unlock (passphrase rooms): resolve the room key from the passphrase.
+  // `history` is what's loaded of the room; `choosing`: this unlock sets the
+  // room's passphrase.
+  const unlock = async (passphrase, history, { choosing }) => {
+    if (!passphrase) return alert("Enter passphrase");
+    const passTrim = (passphrase || "").trim();
+    const roomTrim = (roomId || "").trim();
+    if (
+      choosing &&
+      isWeakPassphrase(passTrim) &&
+      !window.confirm(WEAK_PASSPHRASE_CONFIRM)
+    ) {
+      return;
+    }
+
+    try {
+      const resolved = await resolveRoomKey(roomTrim, passTrim, history, {
+        mayWrap,
+      });
+      adoptKey(resolved.key, resolved);
+      setPassphraseUnset(false);
+    } catch (err) {
+      console.error(
+        "deriveKey failed:",
+        err && err.message ? err.message : err
+      );
+      console.groupCollapsed("deriveKey debug");
+      console.log("passphrase length:", (passphrase || "").length);
+      console.log("roomId (raw):", roomId);
+      console.log("roomId (stringified):", JSON.stringify(roomId));
+      console.groupEnd();
+
+      alert(
+        err && [WRONG_PASSPHRASE, NO_ROOM_KEY].includes(err.message)
+          ? err.message
+          : "Failed to derive key. Check passphrase and room id; see console for details."
+      );
+      setKey(null);
+    }
+  };
+
+  // re-wrap the room key under a new passphrase (already trimmed and
+  // confirmed); history is not re-encrypted. Resolves whether it changed.
+  const changePassphrase = async (next) => {
+    if (!key || keyRevision === null) {
+      alert("This room has no server-stored key to re-wrap.");
+      return false;
+    }
+    if (isWeakPassphrase(next) && !window.confirm(WEAK_PASSPHRASE_CONFIRM)) {
+      return false;
+    }
+
+    setChangingPass(true);
+    try {
+      const envelope = await wrapRoomKey(await wrappableKeyRef.current(), next);
+      const result = await putRoomKey(roomId, envelope, keyRevision);
+      if (result.conflict) {
+        setKeyRevision(result.revision);
+        alert(
+          "The room passphrase was changed by someone else. Unlock with the new passphrase and try again."
+        );
+        return false;
+      }
+      setKeyRevision(result.revision);
+      wrappableKeyRef.current = () =>
+        unwrapRoomKey(envelope, next, { extractable: true });
+      return true;
+    } catch (err) {
+      console.error("change passphrase failed", err);
+      alert("Could not change passphrase; see console for details.");
+      return false;
+    } finally {
+      setChangingPass(false);
+    }
+  };
+
+  return {
+    key,
+    keyRef,
+    wrappableKeyRef,
+    keyVerified,
+    keyRevision,
+    roomMode,
+    roomModeRef,
+    passphraseUnset,
+    changingPass,
+    adoptKey,
+    setInviteKey,
+    unlock,
+    changePassphrase,
+  };
+}
@@ -0,0 +1,855 @@
+// web/src/hooks/useRoomSocket.js
+// the room's socket for as long as the page can be in the room: joining (and
+// catching up on what was missed when it rejoins), messages, edits,
+// reactions and receipts as they happen, room access and moderation,
+// presence and typing, and in ecdh rooms handing the room key and sender keys
+// between members. Reconnects and rate limits are retried here.
+import { useEffect, useRef, useState } from "react";
+import {
+  generateRoomKey,
+  wrapRoomKeyForMember,
+  unwrapRoomKeyFromMember,
+} from "../utils/crypto";
+import {
+  loadOutbound,
+  saveOutbound,
+  discardOutbound,
+  saveInbound,
+  openSession,
+} from "../utils/ratchet";
+import { getRoomKey } from "../utils/api";
+import { startSession } from "../utils/session";
+import { removeOutgoing } from "../utils/outbox";
+import { forgetCachedRoom } from "../utils/cache";
+import { openReaction, loadReactions } from "../utils/relations";
+import {
+  normalizeToBase64,
+  normalizeHistoryMessage,
+  messageCursor,
+  fetchHistoryPage,
+  mergeMessage,
+  applyMessageChange,
+  newestConfirmed,
+  decryptMessage,
+  decryptPage,
+} from "../utils/history";
+import { ensureKeyCheck } from "../utils/roomKey";
+import { withOutbound, shareOutbound } from "../utils/senderKeys";
+import { acknowledge, withReceipts } from "../utils/receipts";
+import {
+  openRoomSocket,
+  closeRoomSocket,
+  roomSocket,
+  isOffline,
+} from "../utils/roomSocket";
+import { flushOutbox } from "./useOutbox";
+
+// typing: tell the room at most this often while typing, say we stopped
+// after this long without a keystroke, and drop others' indicators that
+// haven't been refreshed in this long
+const TYPING_THROTTLE_MS = 3000;
+const TYPING_STOP_MS = 4000;
+const TYPING_TTL_MS = 6000;
+// no input for this long (or the tab hidden) counts as idle
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+
+// `ready`: we can join (signed in, admitted, and the room unlocked or an ecdh
+// room waiting for its key). The refs and setters are the page's; what's
+// only the socket's (presence, typing, bans, the message timer, send status)
+// is kept here and returned.
+export function useRoomSocket(
+  roomId,
+  {
+    ready,
+    userId,
+    devicePublicKey,
+    setSession,
+    messagesRef,
+    lastSyncRef,
+    keyRef,
+    wrappableKeyRef,
+    roomModeRef,
+    adoptKey,
+    deviceKeysRef,
+    signingPublicKeyRef,
+    membersRef,
+    editUndoRef,
+    readReceiptsRef,
+    markFailed,
+    setMessages,
+    setHasMore,
+    setReactions,
+    setThreadReplies,
+    setRoomAccess,
+    setAdmission,
+    setRosterVersion,
+    setEcdhStatus,
+  }
+) {
+  const [statusMap, setStatusMap] = useState({});
+  // userId -> { userId, username, status } of everyone connected to the room
+  const [presence, setPresence] = useState({});
+  // userId -> { username, at } of others typing right now
+  const [typing, setTyping] = useState({});
+  // the room's disappearing-message timer, and changes to it to show in the
+  // conversation (the latest change comes with the join)
+  const [messageTimer, setMessageTimer] = useState(null);
+  const [timerNotices, setTimerNotices] = useState([]);
+  // (owner only) who's banned from the room
+  const [bans, setBans] = useState([]);
+  // when we last told the room we're typing, and the timer that says we stopped
+  const typingSentRef = useRef(0);
+  const typingStopRef = useRef(null);
+  // the presence status the server has for this socket
+  const presenceStatusRef = useRef("online");
+
+  // report this socket idle when there's been no input for a while or the tab
+  // is hidden, and online again on the next sign of life
+  useEffect(() => {
+    if (!roomId) return;
+    let lastActive = Date.now();
+    const update = () => {
+      const status =
+        document.hidden || Date.now() - lastActive > IDLE_AFTER_MS
+          ? "idle"
+          : "online";
+      if (status === presenceStatusRef.current) return;
+      if (isOffline()) return;
+      presenceStatusRef.current = status;
+      roomSocket().emit("presence-status", { roomId, status });
+    };
+    const onActivity = () => {
+      lastActive = Date.now();
+      if (presenceStatusRef.current === "idle") update();
+    };
+    const events = ["keydown", "mousedown", "mousemove", "touchstart", "focus"];
+    for (const ev of events) window.addEventListener(ev, onActivity);
+    document.addEventListener("visibilitychange", update);
+    const timer = setInterval(update, 15000);
+    return () => {
+      for (const ev of events) window.removeEventListener(ev, onActivity);
+      document.removeEventListener("visibilitychange", update);
+      clearInterval(timer);
+    };
+  }, [roomId]);
+
+  // drop typing indicators that stopped being refreshed (a missed "stopped")
+  useEffect(() => {
+    if (Object.keys(typing).length === 0) return;
+    const timer = setInterval(() => {
+      const cutoff = Date.now() - TYPING_TTL_MS;
+      setTyping((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).filter(([, t]) => t.at > cutoff)
+        );
+        return Object.keys(next).length === Object.keys(prev).length
+          ? prev
+          : next;
+      });
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [typing]);
+
+  // socket setup
+  useEffect(() => {
+    if (!roomId || !ready) return;
+    const socket = openRoomSocket();
+
+    // the server's rate limits say when to try again (retryAfter, ms); one
+    // retry of each kind is pending at a time
+    const retries = new Map();
+    const retryLater = (what, retryAfter, retry) => {
+      if (retries.has(what)) return;
+      retries.set(
+        what,
+        setTimeout(() => {
+          retries.delete(what);
+          retry();
+        }, retryAfter)
+      );
+    };
+
+    // the server refused our session (expired, or it no longer knows its
+    // key): get a new one and try again. A new identity means a new socket.
+    socket.on("connect_error", (err) => {
+      if (err.message === "rate limited") {
+        const retryAfter = (err.data && err.data.retryAfter) || 5000;
+        retryLater("connect", retryAfter, () => socket.connect());
+        return;
+      }
+      if (err.message !== "unauthorized") return;
+      startSession(localStorage.getItem("username") || "Anon")
+        .then((renewed) => {
+          setSession(renewed);
+          if (renewed.userId === userId) socket.connect();
+        })
+        .catch((e) => console.warn("session renewal failed", e));
+    });
+
+    // ensure that on every (re)connect we rejoin with the stored username.
+    // A recovered connection already has its rooms and missed broadcasts;
+    // otherwise send what we last saw so the server replies with a catch-up.
+    let awaitingJoin = false;
+    const onConnect = () => {
+      if (socket.recovered) {
+        flushOutbox(roomId).catch((err) =>
+          console.warn("outbox flush failed", err)
+        );
+        return;
+      }
+      const lastSeen = newestConfirmed(messagesRef.current);
+      socket.emit("join-room", {
+        roomId,
+        lastSeen: lastSeen ? messageCursor(lastSeen) : undefined,
+        syncedAt: lastSyncRef.current || undefined,
+        publicKey: devicePublicKey || undefined,
+        signingKey: signingPublicKeyRef.current || undefined,
+      });
+      console.log("joined room", roomId, "userId", userId);
+      // the outbox goes once the server has us in the room (room-access)
+      awaitingJoin = true;
+    };
+
+    socket.on("connect", onConnect);
+
+    // if socket is already connected right away, call once
+    if (socket.connected) onConnect();
+
+    const outboundContext = () => ({
+      roomId,
+      userId,
+      roomKey: keyRef.current,
+      keyPair: deviceKeysRef.current,
+      members: membersRef.current,
+    });
+
+    // bring an existing outbound session up to date with the roster
+    const syncOutbound = () =>
+      withOutbound(async () => {
+        const session = await loadOutbound(roomId);
+        if (!session) return;
+        await saveOutbound(
+          roomId,
+          await shareOutbound(session, outboundContext())
+        );
+      }).catch((err) => console.warn("sender key sync failed", err));
+
+    // incoming message (others)
+    socket.on("message", async (payload) => {
+      const iv = normalizeToBase64(payload.iv);
+      const ciphertext = normalizeToBase64(payload.ciphertext);
+
+      const normalized = {
+        messageId: payload.messageId,
+        seq: payload.seq ?? null,
+        roomId: payload.roomId,
+        senderId: payload.senderId,
+        username:
+          payload.username || localStorage.getItem("username") || "Anon",
+        ciphertext,
+        iv,
+        status: payload.status || "sent",
+        createdAt: payload.createdAt,
+        ratchet: payload.ratchet || null,
+        enc: payload.enc || null,
+        sig: payload.sig || null,
+        thread: payload.thread || null,
+        expiresAt: payload.expiresAt || null,
+      };
+
+      setMessages((prev) => mergeMessage(prev, normalized));
+
+      // ACK delivered
+      socket.emit("message-received", {
+        messageId: normalized.messageId,
+        roomId,
+      });
+
+      // Try decrypt right away if possible; a ratcheted message whose
+      // session hasn't arrived yet is retried when it does
+      const k = keyRef.current;
+      if (k && normalized.ciphertext && normalized.iv) {
+        const pt = await decryptMessage(k, roomId, normalized);
+        if (pt !== null) {
+          setMessages((prev) =>
+            prev.map((m) =>
+              m.messageId === normalized.messageId ? { ...m, plaintext: pt } : m
+            )
+          );
+
+          if (readReceiptsRef.current) {
+            socket.emit("message-read", {
+              messageId: normalized.messageId,
+              roomId,
+            });
+          }
+        }
+      }
+    });
+
+    // message-saved (server ack for messages you sent)
+    socket.on("message-saved", async (payload) => {
+      const iv = normalizeToBase64(payload.iv);
+      const ciphertext = normalizeToBase64(payload.ciphertext);
+
+      const normalized = {
+        messageId: payload.messageId,
+        seq: payload.seq ?? null,
+        roomId: payload.roomId,
+        senderId: payload.senderId,
+        username:
+          payload.username || localStorage.getItem("username") || "Anon",
+        ciphertext,
+        iv,
+        status: payload.status || "sent",
+        createdAt: payload.createdAt,
+        ratchet: payload.ratchet || null,
+        enc: payload.enc || null,
+        sig: payload.sig || null,
+        expiresAt: payload.expiresAt || null,
+        receipts: payload.receipts || null,
+      };
+
+      setMessages((prev) => mergeMessage(prev, normalized));
+      removeOutgoing(normalized.messageId).catch((err) =>
+        console.warn("outbox cleanup failed", err)
+      );
+
+      setStatusMap((m) => ({
+        ...m,
+        [normalized.messageId]: normalized.status,
+      }));
+
+      // If this message is mine and we have the key, decrypt and set plaintext
+      const isMine = normalized.senderId === userId;
+      const k = keyRef.current;
+      if (isMine && k && normalized.ciphertext && normalized.iv) {
+        const pt = await decryptMessage(k, roomId, normalized);
+        if (pt !== null) {
+          setMessages((prev) =>
+            prev.map((m) =>
+              m.messageId === normalized.messageId ? { ...m, plaintext: pt } : m
+            )
+          );
+        }
+      }
+    });
+
+    const applyReceipts = (summaries) => {
+      if (summaries.length === 0) return;
+      setMessages((prev) => withReceipts(prev, summaries));
+    };
+
+    socket.on("receipt-update", (summary) => {
+      if (summary.roomId !== roomId) return;
+      if (summary.ts) lastSyncRef.current = summary.ts;
+      applyReceipts([summary]);
+    });
+
+    // an edit (new revision) or deletion of a message, ours or anyone's
+    const receiveChange = async (payload) => {
+      const [changed] = await decryptPage(keyRef.current, roomId, [
+        normalizeHistoryMessage(payload),
+      ]);
+      editUndoRef.current.delete(changed.messageId);
+      setMessages((prev) => applyMessageChange(prev, changed));
+    };
+
+    socket.on("message-edited", receiveChange);
+    socket.on("message-deleted", ({ messageId, deletedAt }) =>
+      setMessages((prev) =>
+        applyMessageChange(prev, {
+          messageId,
+          deletedAt,
+          ciphertext: null,
+          iv: null,
+          enc: null,
+          sig: null,
+          ratchet: null,
+        })
+      )
+    );
+
+    // the server refused an edit: put the message back as it was
+    socket.on("edit-error", (err) => {
+      console.error("edit-error", err);
+      const original = err && editUndoRef.current.get(err.messageId);
+      if (!original) return;
+      editUndoRef.current.delete(err.messageId);
+      setMessages((prev) =>
+        prev.map((m) => (m.messageId === original.messageId ? original : m))
+      );
+      alert("The edit couldn't be saved.");
+    });
+
+    socket.on("delete-error", (err) => {
+      console.error("delete-error", err);
+      alert("The message couldn't be deleted.");
+    });
+
+    // reactions from anyone in the room, ours included
+    socket.on("reaction", async (reaction) => {
+      const k = keyRef.current;
+      if (!k) return;
+      try {
+        const opened = await openReaction(k, roomId, reaction);
+        setReactions((prev) => ({
+          ...prev,
+          [`${opened.senderId}:${opened.reactionKey}`]: opened,
+        }));
+      } catch (err) {
+        console.warn("unreadable reaction:", err && err.message);
+      }
+    });
+
+    socket.on("reaction-removed", ({ senderId, reactionKey }) =>
+      setReactions((prev) => {
+        const next = { ...prev };
+        delete next[`${senderId}:${reactionKey}`];
+        return next;
+      })
+    );
+
+    socket.on("react-error", (err) => {
+      console.error("react-error", err);
+      alert("The reaction couldn't be saved.");
+    });
+
+    // ----- room access -----
+
+    // we're in (the answer to join-room), or the owner changed the settings
+    socket.on("room-access", (settings) => {
+      if (settings.roomId !== roomId) return;
+      setRoomAccess(settings);
+      if (!awaitingJoin) return;
+      awaitingJoin = false;
+      // after join-room, so sender keys are in place first
+      flushOutbox(roomId).catch((err) =>
+        console.warn("outbox flush failed", err)
+      );
+    });
+
+    socket.on("join-error", ({ roomId: forRoom, error, retryAfter }) => {
+      if (forRoom !== roomId) return;
+      if (retryAfter) {
+        retryLater("join", retryAfter, () => socket.connected && onConnect());
+        return;
+      }
+      console.warn("join-room refused:", error);
+      setAdmission({ status: "refused", error });
+    });
+
+    // the owner took us out: nothing of the room stays on this device
+    socket.on("removed-from-room", ({ roomId: forRoom, banned }) => {
+      if (forRoom !== roomId) return;
+      setAdmission({
+        status: "refused",
+        error: banned ? "banned from this room" : "removed from this room",
+      });
+      withOutbound(() => discardOutbound(roomId)).catch(console.warn);
+      forgetCachedRoom(roomId).catch(console.warn);
+    });
+
+    // (owner only) who's banned
+    socket.on("room-bans", ({ roomId: forRoom, bans: banned = [] }) => {
+      if (forRoom === roomId) setBans(banned);
+    });
+
+    socket.on("moderation-error", (err) => {
+      console.error("moderation-error", err);
+      alert(`That didn't work: ${(err && err.error) || "unknown error"}.`);
+    });
+
+    // ----- disappearing messages -----
+
+    // the room's timer: sent when we join and whenever someone changes it
+    socket.on("message-timer", (timer) => {
+      if (timer.roomId !== roomId) return;
+      setMessageTimer(timer);
+      if (!timer.setAt) return;
+      setTimerNotices((prev) =>
+        prev.some((n) => n.setAt === timer.setAt) ? prev : [...prev, timer]
+      );
+    });
+
+    socket.on("timer-error", (err) => {
+      console.error("timer-error", err);
+      alert("The message timer couldn't be changed.");
+    });
+
+    // the server deleted these for good
+    socket.on("messages-expired", ({ roomId: forRoom, messageIds = [] }) => {
+      if (forRoom !== roomId) return;
+      const gone = new Set(messageIds);
+      setMessages((prev) => prev.filter((m) => !gone.has(m.messageId)));
+      setThreadReplies((prev) => prev.filter((m) => !gone.has(m.messageId)));
+    });
+
+    // ----- presence and typing -----
+
+    // the roster, sent when we join (or our connection is restored)
+    socket.on("presence", ({ roomId: forRoom, members = [] }) => {
+      if (forRoom !== roomId) return;
+      // the server starts every joining socket as online
+      presenceStatusRef.current = "online";
+      setPresence(Object.fromEntries(members.map((m) => [m.userId, m])));
+    });
+
+    socket.on("user-joined", (member) => {
+      if (member.roomId !== roomId) return;
+      setPresence((prev) => ({ ...prev, [member.userId]: member }));
+    });
+
+    socket.on("user-status", ({ roomId: forRoom, userId: who, status }) => {
+      if (forRoom !== roomId) return;
+      setPresence((prev) =>
+        prev[who] ? { ...prev, [who]: { ...prev[who], status } } : prev
+      );
+    });
+
+    // their last connection closed (or they left the room)
+    socket.on("user-left", ({ roomId: forRoom, userId: who }) => {
+      if (forRoom !== roomId) return;
+      const without = (prev) => {
+        if (!prev[who]) return prev;
+        const next = { ...prev };
+        delete next[who];
+        return next;
+      };
+      setPresence(without);
+      setTyping(without);
+    });
+
+    socket.on("typing", (update) => {
+      const { roomId: forRoom, userId: who, username } = update;
+      // our other devices typing isn't news
+      if (forRoom !== roomId || who === userId) return;
+      setTyping((prev) => {
+        const next = { ...prev };
+        if (update.typing) next[who] = { username, at: Date.now() };
+        else delete next[who];
+        return next;
+      });
+    });
+
+    // first join: newest history page (merged, in case it raced the REST
+    // load). Here and in catch-up the sync time is noted only once applied:
+    // the local copy of the room is saved with it.
+    socket.on("recent-messages", async (page) => {
+      const wasEmpty = messagesRef.current.length === 0;
+      const recent = await decryptPage(
+        keyRef.current,
+        roomId,
+        (page.messages || []).map(normalizeHistoryMessage)
+      );
+      setMessages((prev) => recent.reduce(mergeMessage, prev));
+      if (wasEmpty) setHasMore(!!page.hasMore);
+      acknowledge(roomId, recent, readReceiptsRef.current);
+      if (page.syncedAt) lastSyncRef.current = page.syncedAt;
+    });
+
+    // rejoin after a dropped connection: exactly what we missed
+    socket.on("catch-up", async (payload) => {
+      if (payload.hasMore) {
+        // too far behind to patch in place: restart from the newest page,
+        // keeping local messages the server has not confirmed yet
+        try {
+          const page = await fetchHistoryPage(roomId);
+          const fresh = await decryptPage(
+            keyRef.current,
+            roomId,
+            page.messages
+          );
+          setMessages((prev) =>
+            prev
+              .filter((m) => m.status === "sending" || m.status === "failed")
+              .reduce(mergeMessage, fresh)
+          );
+          setHasMore(page.hasMore);
+          acknowledge(roomId, fresh, readReceiptsRef.current);
+        } catch (err) {
+          console.error("catch-up reload failed", err);
+        }
+      } else {
+        const missed = await decryptPage(
+          keyRef.current,
+          roomId,
+          (payload.messages || []).map(normalizeHistoryMessage)
+        );
+        setMessages((prev) => missed.reduce(mergeMessage, prev));
+        acknowledge(roomId, missed, readReceiptsRef.current);
+      }
+
+      for (const changed of payload.changes || []) {
+        await receiveChange(changed);
+      }
+      applyReceipts(payload.receipts || []);
+      if (payload.syncedAt) lastSyncRef.current = payload.syncedAt;
+
+      // reactions aren't part of the catch-up: reload them
+      if (keyRef.current) {
+        loadReactions(keyRef.current, roomId)
+          .then(setReactions)
+          .catch((err) => console.warn("reactions reload failed", err));
+      }
+    });
+
+    // ----- ecdh rooms: member keys and room key distribution -----
+
+    // wrap the room key to a member who doesn't have it yet
+    const shareKeyWith = async (member) => {
+      const wrappable = keyRef.current && wrappableKeyRef.current;
+      const keyPair = deviceKeysRef.current;
+      if (roomModeRef.current !== "ecdh") return;
+      if (!wrappable || !keyPair || member.hasKey || !member.publicKey) return;
+      if (member.userId === userId) return;
+      try {
+        const envelope = await wrapRoomKeyForMember(
+          await wrappable(),
+          keyPair,
+          member.publicKey,
+          roomId
+        );
+        socket.emit("share-room-key", {
+          roomId,
+          recipientId: member.userId,
+          envelope,
+        });
+      } catch (err) {
+        console.warn("share room key failed for", member.userId, err);
+      }
+    };
+
+    // the server only relays a key once it accepted it, so this is the
+    // single place a passphrase-free room becomes unlocked (bar an invite
+    // link that carries the key)
+    const receiveRoomKey = async (envelope) => {
+      try {
+        const keyPair = deviceKeysRef.current;
+        const k = await unwrapRoomKeyFromMember(envelope, keyPair, roomId);
+        if (!keyRef.current) {
+          const record = await getRoomKey(roomId);
+          if (!(await ensureKeyCheck(roomId, k, record && record.keyCheck))) {
+            setEcdhStatus(
+              "Received a room key that doesn't match this room's key check."
+            );
+            return;
+          }
+          adoptKey(k, {
+            revision: null,
+            verified: true,
+            wrappable: () =>
+              unwrapRoomKeyFromMember(envelope, keyPair, roomId, {
+                extractable: true,
+              }),
+          });
+        }
+        for (const member of Object.values(membersRef.current)) {
+          shareKeyWith(member);
+        }
+      } catch (err) {
+        console.error("unwrap room key failed", err);
+        setEcdhStatus("Received a room key this device could not unwrap.");
+        return;
+      }
+      // sender keys that arrived before the room key could open them
+      const waiting = pendingShares;
+      pendingShares = [];
+      for (const share of waiting) await receiveSenderKey(share);
+      syncOutbound();
+    };
+
+    socket.on("room-keys", async ({ mode, members = [], wrappedKey }) => {
+      membersRef.current = Object.fromEntries(
+        members.map((m) => [m.userId, m])
+      );
+      setRosterVersion((v) => v + 1);
+      if (mode !== "ecdh") return syncOutbound();
+      if (wrappedKey) return receiveRoomKey(wrappedKey);
+
+      // nobody holds a key yet: create one and wrap it to ourselves. If
+      // another member bootstraps first the server keeps theirs and they
+      // share it with us instead.
+      if (!members.some((m) => m.hasKey) && deviceKeysRef.current) {
+        const fresh = await generateRoomKey({ extractable: true });
+        const envelope = await wrapRoomKeyForMember(
+          fresh,
+          deviceKeysRef.current,
+          devicePublicKey,
+          roomId
+        );
+        socket.emit("share-room-key", {
+          roomId,
+          recipientId: userId,
+          envelope,
+        });
+      }
+    });
+
+    socket.on("member-key", (update) => {
+      const member = { ...membersRef.current[update.userId], ...update };
+      membersRef.current = { ...membersRef.current, [update.userId]: member };
+      setRosterVersion((v) => v + 1);
+      shareKeyWith(member);
+      syncOutbound();
+    });
+
+    socket.on("room-key", ({ envelope }) => receiveRoomKey(envelope));
+
+    // ----- sender keys (ratchet sessions of other members) -----
+
+    // shares opened with the room key; until we have it they wait here
+    let pendingShares = [];
+
+    // decrypt messages that were waiting for this sender's session
+    const decryptWaiting = async (senderId, sessionId) => {
+      const updates = [];
+      for (const m of messagesRef.current) {
+        if (m.plaintext !== undefined || m.senderId !== senderId) continue;
+        if (!m.ratchet || m.ratchet.sessionId !== sessionId) continue;
+        const pt = await decryptMessage(keyRef.current, roomId, m);
+        if (pt !== null) updates.push({ ...m, plaintext: pt });
+      }
+      if (updates.length === 0) return;
+      setMessages((prev) =>
+        prev.map((m) => updates.find((u) => u.messageId === m.messageId) || m)
+      );
+      acknowledge(roomId, updates, readReceiptsRef.current);
+    };
+
+    const receiveSenderKey = async (share) => {
+      const roomKey = keyRef.current;
+      const keyPair = deviceKeysRef.current;
+      if (!roomKey || !keyPair) {
+        pendingShares.push(share);
+        return;
+      }
+      try {
+        const inbound = await openSession(
+          share.envelope,
+          roomKey,
+          keyPair,
+          roomId
+        );
+        if (inbound.sessionId !== share.sessionId) {
+          throw new Error("sender key does not match its session id");
+        }
+        await saveInbound(roomId, share.senderId, inbound);
+        socket.emit("sender-key-received", { shareId: share.shareId });
+        await decryptWaiting(share.senderId, share.sessionId);
+      } catch (err) {
+        console.warn("sender key from", share.senderId, "unusable", err);
+      }
+    };
+
+    socket.on("sender-key", receiveSenderKey);
+
+    // a member left for good: drop them and start a new session, so what we
+    // send from now on is sealed only to who is still here
+    socket.on("member-left", ({ userId: leftId }) => {
+      const next = { ...membersRef.current };
+      delete next[leftId];
+      membersRef.current = next;
+      withOutbound(() => discardOutbound(roomId)).catch((err) =>
+        console.warn("sender key rotation failed", err)
+      );
+    });
+
+    socket.on("send-error", (err) => {
+      console.error("send-error", err);
+      // rate limited: it's still in the outbox, to go again shortly
+      if (err && err.retryAfter) {
+        retryLater("send", err.retryAfter, () =>
+          flushOutbox(roomId).catch((e) =>
+            console.warn("outbox flush failed", e)
+          )
+        );
+        return;
+      }
+      if (err && err.messageId) markFailed(err.messageId, err.error);
+    });
+
+    // failures of events with no error channel of their own (key shares,
+    // receipts): nothing to show for them
+    socket.on("request-error", (err) => {
+      console.warn("request-error", err);
+    });
+
+    return () => {
+      for (const timer of retries.values()) clearTimeout(timer);
+      closeRoomSocket();
+    };
+  }, [
+    ready,
+    devicePublicKey,
+    roomId,
+    userId,
+    setSession,
+    messagesRef,
+    lastSyncRef,
+    keyRef,
+    wrappableKeyRef,
+    roomModeRef,
+    adoptKey,
+    deviceKeysRef,
+    signingPublicKeyRef,
+    membersRef,
+    editUndoRef,
+    readReceiptsRef,
+    markFailed,
+    setMessages,
+    setHasMore,
+    setReactions,
+    setThreadReplies,
+    setRoomAccess,
+    setAdmission,
+    setRosterVersion,
+    setEcdhStatus,
+  ]);
+
+  // tell the room we're typing (throttled), and that we stopped once the
+  // keystrokes do; editing a message isn't typing one
+  const noteTyping = (value, editing) => {
+    if (isOffline()) return;
+    clearTimeout(typingStopRef.current);
+    if (!value.trim() || editing) return stopTyping();
+    if (Date.now() - typingSentRef.current > TYPING_THROTTLE_MS) {
+      typingSentRef.current = Date.now();
+      roomSocket().emit("typing", { roomId, typing: true });
+    }
+    typingStopRef.current = setTimeout(stopTyping, TYPING_STOP_MS);
+  };
+
+  const stopTyping = () => {
+    clearTimeout(typingStopRef.current);
+    if (!typingSentRef.current) return;
+    typingSentRef.current = 0;
+    const socket = roomSocket();
+    if (socket && socket.connected) {
+      socket.emit("typing", { roomId, typing: false });
+    }
+  };
+
+  // any member can change the room's timer; it applies to what's sent next
+  const changeMessageTimer = (value) => {
+    if (isOffline()) {
+      return alert("The message timer can't be changed while offline.");
+    }
+    roomSocket().emit("set-message-timer", {
+      roomId,
+      ttl: value ? Number(value) : null,
+    });
+  };
+
+  return {
+    statusMap,
+    presence,
+    typing,
+    messageTimer,
+    timerNotices,
+    bans,
+    noteTyping,
+    stopTyping,
+    changeMessageTimer,
+  };
+}
@@ -1,112 +1,290 @@
 // web/src/pages/Chat.jsx
-import React, { useEffect, useState, useRef } from "react";
-import { useParams } from "react-router-dom";
-import io from "socket.io-client";
+import React, { useEffect, useLayoutEffect, useState, useRef } from "react";
+import { useParams, useNavigate } from "react-router-dom";
 import {
-  deriveKey,
-  encryptText,
-  decryptText,
-  computeFingerprint,
+  sealMessage,
+  KDF_ROOM_KEY,
+  getDeviceKeyPair,
+  getSigningKeyPair,
+  signMessage,
+  exportPublicKey,
 } from "../utils/crypto";
+import {
+  ratchetEncrypt,
+  saveOutbound,
+  discardOutbound,
+} from "../utils/ratchet";
+import { senderTrust, pinSigningKey } from "../utils/trust";
+import { requestRoomAccess, uploadAttachment } from "../utils/api";
+import { encodeBody, parseBody, BODY_CTY } from "../utils/content";
+import {
+  encryptAttachment,
+  formatBytes,
+  MAX_ATTACHMENT_SIZE,
+} from "../utils/attachments";
+import { currentSession, startSession } from "../utils/session";
+import { readInviteFragment, clearInviteFragment } from "../utils/invite";
+import { clearOutbox } from "../utils/outbox";
+import {
+  hasCachedHistory,
+  loadCachedHistory,
+  saveCachedHistory,
+  clearCachedRooms,
+  forgetCachedRoom,
+} from "../utils/cache";
+import {
+  threadTag,
+  sealReaction,
+  loadReactions,
+  tallyReactions,
+  REPLY_SNIPPET_LENGTH,
+} from "../utils/relations";
+import {
+  normalizeHistoryMessage,
+  fetchHistoryPage,
+  fetchThread,
+  mergeMessage,
+  applyMessageChange,
+  decryptMessage,
+  decryptPage,
+} from "../utils/history";
+import {
+  withOutbound,
+  currentOutbound,
+  shareOutbound,
+} from "../utils/senderKeys";
+import { acknowledge } from "../utils/receipts";
+import { timerNotice } from "../utils/messageTimer";
+import {
+  kickMember,
+  banMember,
+  unbanMember,
+  toggleLock,
+  changeAccessCode,
+} from "../utils/moderation";
+import { roomSocket, isOffline } from "../utils/roomSocket";
+import { useRoomKey } from "../hooks/useRoomKey";
+import { useRoomSocket } from "../hooks/useRoomSocket";
+import { useOutbox } from "../hooks/useOutbox";
+import { useReadReceipts } from "../hooks/useReadReceipts";
+import ChatHeader from "../components/ChatHeader";
+import Composer from "../components/Composer";
+import MessageBubble from "../components/MessageBubble";
+import VerifyPanel from "../components/VerifyPanel";
+import MemberList from "../components/MemberList";
+import StrengthMeter from "../components/StrengthMeter";
+import InvitePanel from "../components/InvitePanel";
+import ThreadPanel from "../components/ThreadPanel";
 
-const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
-let socket;
-
-// helper: convert ArrayBuffer/Uint8Array to base64
-function arrayBufferToBase64(buf) {
-  const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
-  let binary = "";
-  for (let i = 0; i < bytes.byteLength; i++) {
-    binary += String.fromCharCode(bytes[i]);
-  }
-  return btoa(binary);
-}
-
-// normalize various payload shapes (string base64, ArrayBuffer, { data: [...] }, Buffer-like) -> base64 string
-function normalizeToBase64(val) {
-  if (!val && val !== "") return val;
-  if (typeof val === "string") return val;
-
-  // TypedArray / ArrayBuffer
-  if (val instanceof ArrayBuffer)
-    return arrayBufferToBase64(new Uint8Array(val));
-  if (ArrayBuffer.isView(val)) return arrayBufferToBase64(val);
+// the most a message body may take (the server's limit on ciphertext leaves
+// room for encryption on top of this)
+const MAX_MESSAGE_BYTES = 64 * 1024;
+// how long messages settle before the local copy of the room is rewritten
+const CACHE_SAVE_DELAY_MS = 1000;
 
-  // Node-style buffer objects: { type: 'Buffer', data: [...] } or { data: [...] }
-  if (val && typeof val === "object") {
-    if (Array.isArray(val.data)) {
-      return arrayBufferToBase64(new Uint8Array(val.data));
-    }
-    // some Socket->browser transfers can come as plain object with numeric keys -> try to collect numeric values
-    const numericVals = [];
-    for (const k of Object.keys(val)) {
-      const v = val[k];
-      if (typeof v === "number") numericVals.push(v);
-    }
-    if (numericVals.length > 0) {
-      return arrayBufferToBase64(new Uint8Array(numericVals));
-    }
-  }
+// why the room won't have us, from the server's reason
+const REFUSALS = {
+  "banned from this room": "You're banned from this room.",
+  "removed from this room": "The room's owner removed you from this room.",
+  "room is locked": "This room is locked: it isn't taking new members.",
+  "access token required": "This room needs an access code to join.",
+  "invalid access token": "That access code isn't right.",
+  "invite expired or revoked":
+    "This invite link has expired, been used up or been revoked.",
+};
+const NEEDS_ACCESS_CODE = ["access token required", "invalid access token"];
 
-  // fallback: return as-is (will likely fail decrypt, but avoid crashing)
-  return val;
+// whether a message body is over MAX_MESSAGE_BYTES once encoded
+function bodyTooLong(body) {
+  return new TextEncoder().encode(encodeBody(body)).length > MAX_MESSAGE_BYTES;
 }
 
-// safeDecrypt helper: returns plaintext or null
-async function safeDecrypt(k, iv, ct) {
-  try {
-    if (!iv || !ct) throw new Error("missing iv or ciphertext");
-    // normalize to base64 strings if caller passed non-strings
-    const ivB64 = normalizeToBase64(iv);
-    const ctB64 = normalizeToBase64(ct);
-
-    if (typeof ivB64 !== "string" || typeof ctB64 !== "string") {
-      console.warn("safeDecrypt: iv/ct not strings after normalization", {
-        ivB64,
-        ctB64,
-      });
-      throw new Error("iv/ciphertext normalization failed");
-    }
-
-    const pt = await decryptText(k, ivB64, ctB64);
-    return pt;
-  } catch (err) {
-    console.warn("safeDecrypt failed:", err && err.message ? err.message : err);
-    return null;
-  }
+// "a is typing…", "a and b are typing…", "Several people are typing…"
+function typingLabel(names) {
+  if (names.length === 0) return null;
+  if (names.length === 1) return `${names[0]} is typing…`;
+  if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+  return "Several people are typing…";
 }
 
 export default function Chat() {
   const { roomId } = useParams();
+  const navigate = useNavigate();
   const [passphrase, setPassphrase] = useState("");
-  const [key, setKey] = useState(null);
-  const [keyFingerprint, setKeyFingerprint] = useState(null);
+  const [showVerify, setShowVerify] = useState(false);
+  const [showPassChange, setShowPassChange] = useState(false);
+  const [newPassphrase, setNewPassphrase] = useState("");
+  const [confirmPassphrase, setConfirmPassphrase] = useState("");
+  const [devicePublicKey, setDevicePublicKey] = useState(null);
+  // no device key (e.g. IndexedDB unavailable): send without the ratchet
+  const [deviceKeyFailed, setDeviceKeyFailed] = useState(false);
+  const [ecdhStatus, setEcdhStatus] = useState("Preparing this device's key…");
   const [messages, setMessages] = useState([]);
   const [text, setText] = useState("");
-  const [statusMap, setStatusMap] = useState({});
+  const [hasMore, setHasMore] = useState(false);
+  // this device's copy of the room: null until looked up, "pending" while it
+  // waits for the room key, "loaded" once shown, "none" without one
+  const [historyCache, setHistoryCache] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  // messageId of our message being edited in the composer
+  const [editing, setEditing] = useState(null);
+  // attachments being encrypted/uploaded: { id, name, progress 0..1 }
+  const [uploads, setUploads] = useState([]);
+  // the message the composer is replying to
+  const [replyingTo, setReplyingTo] = useState(null);
+  // root messageId of the open thread view, and replies fetched for it
+  const [threadRoot, setThreadRoot] = useState(null);
+  const [threadReplies, setThreadReplies] = useState([]);
+  // `${senderId}:${reactionKey}` -> { senderId, reactionKey, messageId, emoji }
+  const [reactions, setReactions] = useState({});
+  // messageId whose emoji picker is open
+  const [pickerFor, setPickerFor] = useState(null);
+  const [showMembers, setShowMembers] = useState(false);
+  // whether the room has us: null while the server is asked, then { status:
+  // "in" }, { status: "refused", error } or { status: "offline" } (no server:
+  // this device's copy of the room is used)
+  const [admission, setAdmission] = useState(null);
+  // another go at getting in, with the access code typed for it
+  const [accessTry, setAccessTry] = useState({});
+  const [accessCode, setAccessCode] = useState("");
+  // { ownerId, locked, hasAccessToken } of the room
+  const [roomAccess, setRoomAccess] = useState(null);
+  const [showInvites, setShowInvites] = useState(false);
+  // messageId -> sender trust ("verified" / "unverified" / "key-changed")
+  const [trust, setTrust] = useState({});
+  // bumped whenever members' published keys change, to re-check trust
+  const [rosterVersion, setRosterVersion] = useState(0);
 
   // username prompt state
-  const [showNamePrompt, setShowNamePrompt] = useState(false);
+  const [showNamePrompt, setShowNamePrompt] = useState(
+    () => !localStorage.getItem("username")
+  );
   const [tempName, setTempName] = useState("");
 
-  // identity
-  const storedUserId = localStorage.getItem("userId");
-  const userId = storedUserId || window.crypto.randomUUID();
+  // identity: the session the server issued us. The stored one names our
+  // own messages straight away (offline too); sockets wait until it's renewed.
+  const [session, setSession] = useState(currentSession);
+  const [sessionLive, setSessionLive] = useState(false);
+  const userId = session ? session.userId : null;
+  const admitted = !!admission && admission.status !== "refused";
+  const isOwner = !!roomAccess && !!userId && roomAccess.ownerId === userId;
+  // who may store (or re-wrap) the room key: the owner, or anyone in a room
+  // from before owners
+  const mayWrapKey = isOwner || (!!roomAccess && !roomAccess.ownerId);
 
   const messagesRef = useRef([]);
   const listRef = useRef(null);
+  // server time of the last history sync / status update we saw
+  const lastSyncRef = useRef(null);
+  // this device's key pair and the room's member roster by userId
+  const deviceKeysRef = useRef(null);
+  const signingKeysRef = useRef(null);
+  const signingPublicKeyRef = useRef(null);
+  // messageId -> sender signing key (x) its trust was last checked against
+  const trustCheckedRef = useRef(new Map());
+  const membersRef = useRef({});
+  // scroll metrics captured before prepending an older page, restored after render
+  const scrollAnchorRef = useRef(null);
+  // messageId -> our message as it was before an edit the server hasn't
+  // confirmed, to put back if it refuses
+  const editUndoRef = useRef(new Map());
+  // messageId of our message whose receipt details are open
+  const [receiptsFor, setReceiptsFor] = useState(null);
+  // the invite link we came in with ({ token, secret } from the fragment),
+  // until the server has seen it
+  const inviteRef = useRef(null);
+  if (inviteRef.current === null) {
+    inviteRef.current = readInviteFragment(window.location.hash) || false;
+  }
+
+  const {
+    key,
+    keyRef,
+    wrappableKeyRef,
+    keyVerified,
+    keyRevision,
+    roomMode,
+    roomModeRef,
+    passphraseUnset,
+    changingPass,
+    adoptKey,
+    setInviteKey,
+    unlock,
+    changePassphrase,
+  } = useRoomKey(roomId, { admitted, mayWrap: mayWrapKey });
+  const { readReceipts, readReceiptsRef, toggleReadReceipts } = useReadReceipts(
+    roomId,
+    userId,
+    messagesRef
+  );
+  const { queueMessage, retrySend, discardSend, markFailed } = useOutbox(
+    roomId,
+    { keyRef, setMessages }
+  );
 
+  // start or renew our session once we have a name (renewing takes a
+  // changed name too)
   useEffect(() => {
-    if (!localStorage.getItem("userId")) {
-      localStorage.setItem("userId", userId);
-    }
-  }, [userId]);
+    if (showNamePrompt) return;
+    let cancelled = false;
+    startSession(localStorage.getItem("username") || "Anon")
+      .then((started) => {
+        if (cancelled) return;
+        setSession(started);
+        setSessionLive(true);
+      })
+      .catch((err) => {
+        console.warn("session start failed", err);
+        if (!cancelled) setAdmission((prev) => prev || { status: "offline" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [showNamePrompt]);
 
+  // get into the room (or check we still are) before reading any of it
   useEffect(() => {
-    if (!localStorage.getItem("username")) {
-      setShowNamePrompt(true);
-    }
-  }, []);
+    if (!roomId || !sessionLive) return;
+    let cancelled = false;
+    const invite = inviteRef.current;
+    requestRoomAccess(roomId, {
+      accessToken: accessTry.token,
+      invite: invite ? invite.token : undefined,
+    })
+      .then((result) => {
+        if (cancelled) return;
+        if (invite) {
+          // the invite's been used (or turned out dead): don't leave its
+          // secret in the address bar, and don't try it again
+          clearInviteFragment();
+          inviteRef.current = false;
+          if (result && result.invite && result.invite.keyEnvelope) {
+            setInviteKey({
+              envelope: result.invite.keyEnvelope,
+              secret: invite.secret,
+            });
+          } else if (result && !result.refused && !result.invite) {
+            alert(
+              "This invite link has expired or was revoked. You're in the room, but you'll need its key some other way."
+            );
+          }
+        }
+        if (result && result.refused) {
+          setAdmission({ status: "refused", error: result.refused });
+          return;
+        }
+        // null: a room the server doesn't know (a local temporary one)
+        setRoomAccess(result);
+        setAdmission({ status: "in" });
+      })
+      .catch((err) => {
+        console.warn("room access check failed", err);
+        if (!cancelled) setAdmission({ status: "offline" });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, sessionLive, accessTry, setInviteKey]);
 
   const submitName = () => {
     const nameToUse = tempName.trim() || "Anon";
@@ -128,320 +306,487 @@ export default function Chat() {
     }
   }, [messages.length]);
 
-  // load previous messages - normalize iv/ciphertext to base64
+  // whenever a room key becomes active: decrypt what's loaded
   useEffect(() => {
-    if (!roomId) return;
-    fetch(`${API}/rooms/${roomId}/messages`)
-      .then((r) => r.json())
-      .then((data) => {
-        const normalized = (Array.isArray(data) ? data : []).map((m) => {
-          const iv = normalizeToBase64(m.iv);
-          const ciphertext = normalizeToBase64(m.ciphertext);
-          return {
-            messageId: m.messageId || m.message_id,
-            roomId: m.roomId || m.room_id,
-            senderId: m.senderId || m.sender_id,
-            username: m.username || m.name || "Anon",
-            ciphertext,
-            iv,
-            status: m.status || "sent",
-            createdAt: m.createdAt || m.created_at,
-            plaintext: m.plaintext || undefined,
-          };
-        });
-        setMessages(normalized);
-      })
-      .catch(console.error);
-  }, [roomId]);
+    if (!key) return;
+    (async () => {
+      // attempt to decrypt loaded messages
+      if (messagesRef.current && messagesRef.current.length > 0) {
+        const toUpdate = [];
+        for (const m of messagesRef.current) {
+          if (!m.plaintext && m.ciphertext && m.iv) {
+            const pt = await decryptMessage(key, roomId, m);
+            if (pt !== null)
+              toUpdate.push({ messageId: m.messageId, plaintext: pt });
+          }
+        }
+        if (toUpdate.length > 0) {
+          setMessages((prev) =>
+            prev.map((m) => {
+              const found = toUpdate.find((u) => u.messageId === m.messageId);
+              return found ? { ...m, plaintext: found.plaintext } : m;
+            })
+          );
+        }
+      }
+    })();
+  }, [key, roomId]);
 
-  // socket setup
+  // once unlocked the list mounts: start at the newest message
   useEffect(() => {
-    if (!roomId || !key || showNamePrompt) return;
-
-    socket = io(API, { transports: ["websocket", "polling"] });
+    const el = listRef.current;
+    if (key && el) el.scrollTop = el.scrollHeight;
+  }, [key]);
 
-    // ensure that on every (re)connect we rejoin with the stored username
-    const onConnect = () => {
-      const username = localStorage.getItem("username") || "Anon";
-      socket.emit("join-room", { roomId, userId, username });
-      console.log("joined room", roomId, "userId", userId, "username", username);
-    };
+  // keep the viewport on the same message after an older page is prepended
+  useLayoutEffect(() => {
+    const anchor = scrollAnchorRef.current;
+    const el = listRef.current;
+    if (!anchor || !el) return;
+    scrollAnchorRef.current = null;
+    el.scrollTop = el.scrollHeight - anchor.scrollHeight + anchor.scrollTop;
+  }, [messages]);
 
-    socket.on("connect", onConnect);
+  // load the newest page of history, unless this device has a copy of the
+  // room: that one opens once the room is unlocked
+  useEffect(() => {
+    if (!roomId || !admitted) return;
+    let cancelled = false;
+    setHistoryCache(null);
+    (async () => {
+      const cached = await hasCachedHistory(roomId).catch((err) => {
+        console.warn("history cache lookup failed", err);
+        return false;
+      });
+      if (cancelled) return;
+      setHistoryCache(cached ? "pending" : "none");
+      if (cached) return;
 
-    // if socket is already connected right away, call once
-    if (socket.connected) onConnect();
+      const page = await fetchHistoryPage(roomId);
+      const decrypted = await decryptPage(
+        keyRef.current,
+        roomId,
+        page.messages
+      );
+      if (cancelled) return;
+      // keep what's waiting in the outbox
+      setMessages((prev) =>
+        prev
+          .filter((m) => m.status === "sending" || m.status === "failed")
+          .reduce(mergeMessage, decrypted)
+      );
+      setHasMore(page.hasMore);
+      acknowledge(roomId, decrypted, readReceiptsRef.current);
+    })().catch(console.error);
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId, admitted, keyRef, readReceiptsRef]);
 
-    socket.on("assign-user-id", ({ userId: serverUserId }) => {
-      if (serverUserId) {
-        localStorage.setItem("userId", serverUserId);
+  // show this device's copy of the room as soon as it's unlocked; joining
+  // with its newest message and sync time then fetches only what changed.
+  // Already synced (ecdh rooms join before they have the key), the server's
+  // page is newer and the copy is just rewritten from it.
+  useEffect(() => {
+    if (!key || !roomId || historyCache !== "pending") return;
+    let cancelled = false;
+    (async () => {
+      const copy = await loadCachedHistory(key, roomId);
+      if (cancelled) return;
+      if (lastSyncRef.current) {
+        setHistoryCache("loaded");
+        return;
+      }
+      if (copy) {
+        const restored = await decryptPage(
+          key,
+          roomId,
+          copy.messages.map(normalizeHistoryMessage)
+        );
+        if (cancelled) return;
+        lastSyncRef.current = copy.syncedAt;
+        setMessages((prev) => prev.reduce(mergeMessage, restored));
+        setHasMore(copy.hasMore);
+        setHistoryCache("loaded");
+        return;
       }
-    });
 
-    // incoming message (others)
-    socket.on("message", async (payload) => {
-      const iv = normalizeToBase64(payload.iv);
-      const ciphertext = normalizeToBase64(payload.ciphertext);
-
-      const normalized = {
-        messageId: payload.messageId,
-        roomId: payload.roomId,
-        senderId: payload.senderId,
-        username:
-          payload.username || localStorage.getItem("username") || "Anon",
-        ciphertext,
-        iv,
-        status: payload.status || "sent",
-        createdAt: payload.createdAt,
-      };
+      // the copy didn't open: start over from the server
+      const page = await fetchHistoryPage(roomId);
+      const decrypted = await decryptPage(key, roomId, page.messages);
+      if (cancelled) return;
+      setMessages((prev) =>
+        prev
+          .filter((m) => m.status === "sending" || m.status === "failed")
+          .reduce(mergeMessage, decrypted)
+      );
+      setHasMore(page.hasMore);
+      acknowledge(roomId, decrypted, readReceiptsRef.current);
+      setHistoryCache("none");
+    })().catch((err) => {
+      console.error("history cache load failed", err);
+      if (!cancelled) setHistoryCache("none");
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [key, roomId, historyCache, readReceiptsRef]);
 
-      // Use functional update to atomically check & merge
-      setMessages((prev) => {
-        // dedupe by messageId
-        const byId = prev.find((m) => m.messageId === normalized.messageId);
-        if (byId) {
-          return prev.map((m) =>
-            m.messageId === normalized.messageId ? { ...m, ...normalized } : m
-          );
-        }
+  // keep this device's encrypted copy of the room current
+  useEffect(() => {
+    if (!key || !roomId || !admitted) return;
+    if (historyCache !== "none" && historyCache !== "loaded") return;
+    const timer = setTimeout(() => {
+      saveCachedHistory(key, roomId, {
+        messages,
+        hasMore,
+        syncedAt: lastSyncRef.current,
+      }).catch((err) => console.warn("history cache save failed", err));
+    }, CACHE_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [messages, hasMore, key, roomId, historyCache, admitted]);
 
-        // else dedupe by sender+ct+iv (optimistic match)
-        if (normalized.senderId && normalized.ciphertext && normalized.iv) {
-          const matchIdx = prev.findIndex(
-            (m) =>
-              m.senderId === normalized.senderId &&
-              m.ciphertext === normalized.ciphertext &&
-              m.iv === normalized.iv
-          );
-          if (matchIdx !== -1) {
-            const copy = prev.slice();
-            copy[matchIdx] = {
-              ...copy[matchIdx],
-              ...normalized,
-              messageId: normalized.messageId,
-            };
-            return copy;
-          }
-        }
+  // drop disappearing messages as they expire, without waiting for the
+  // server's sweep
+  useEffect(() => {
+    let next = Infinity;
+    for (const m of messages) {
+      if (m.expiresAt) next = Math.min(next, new Date(m.expiresAt).getTime());
+    }
+    if (next === Infinity) return;
+    const timer = setTimeout(() => {
+      const now = Date.now();
+      const live = (m) => !m.expiresAt || new Date(m.expiresAt).getTime() > now;
+      setMessages((prev) => prev.filter(live));
+      setThreadReplies((prev) => prev.filter(live));
+    }, Math.max(0, next - Date.now()));
+    return () => clearTimeout(timer);
+  }, [messages]);
 
-        // nothing matched -> append
-        return [...prev, normalized];
-      });
+  // reactions are readable once the room is unlocked
+  useEffect(() => {
+    if (!key || !roomId) return;
+    let cancelled = false;
+    loadReactions(key, roomId)
+      .then((loaded) => {
+        if (!cancelled) setReactions(loaded);
+      })
+      .catch((err) => console.warn("reactions load failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [key, roomId]);
 
-      // ACK delivered
-      socket.emit("message-received", {
-        messageId: normalized.messageId,
-        userId,
+  // replies in the open thread that aren't loaded in the main list; which
+  // thread each belongs to is checked again once decrypted
+  useEffect(() => {
+    setThreadReplies([]);
+    if (!threadRoot || !key) return;
+    let cancelled = false;
+    (async () => {
+      const tag = await threadTag(key, roomId, threadRoot);
+      const replies = await decryptPage(
+        key,
         roomId,
-      });
+        await fetchThread(roomId, tag)
+      );
+      if (!cancelled) setThreadReplies(replies);
+    })().catch((err) => console.warn("thread load failed", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [threadRoot, key, roomId]);
 
-      // Try decrypt right away if possible
-      if (key && normalized.ciphertext && normalized.iv) {
-        try {
-          const pt = await decryptText(
-            key,
-            normalized.iv,
-            normalized.ciphertext
-          );
-          setMessages((prev) =>
-            prev.map((m) =>
-              m.messageId === normalized.messageId ? { ...m, plaintext: pt } : m
-            )
-          );
+  // fetch the page before the oldest loaded message and prepend it
+  const loadOlder = async () => {
+    if (loadingOlder || !hasMore) return;
+    const oldest = messagesRef.current.find((m) => m.seq);
+    if (!oldest) return;
 
-          socket.emit("message-read", {
-            messageId: normalized.messageId,
-            userId,
-            roomId,
-          });
-        } catch (err) {
-          console.warn("decrypt failed for incoming message", err);
-        }
+    setLoadingOlder(true);
+    try {
+      const page = await fetchHistoryPage(roomId, oldest);
+      const decrypted = await decryptPage(
+        keyRef.current,
+        roomId,
+        page.messages
+      );
+
+      const el = listRef.current;
+      if (el) {
+        scrollAnchorRef.current = {
+          scrollHeight: el.scrollHeight,
+          scrollTop: el.scrollTop,
+        };
       }
-    });
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.messageId));
+        return [...decrypted.filter((m) => !known.has(m.messageId)), ...prev];
+      });
+      setHasMore(page.hasMore);
+      acknowledge(roomId, decrypted, readReceiptsRef.current);
+    } catch (err) {
+      console.error("load older messages failed", err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
 
-    // message-saved (server ack for messages you sent)
-    socket.on("message-saved", async (payload) => {
-      const iv = normalizeToBase64(payload.iv);
-      const ciphertext = normalizeToBase64(payload.ciphertext);
-
-      const normalized = {
-        messageId: payload.messageId,
-        roomId: payload.roomId,
-        senderId: payload.senderId,
-        username:
-          payload.username || localStorage.getItem("username") || "Anon",
-        ciphertext,
-        iv,
-        status: payload.status || "sent",
-        createdAt: payload.createdAt,
-      };
+  const onListScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80) loadOlder();
+  };
 
-      // atomic merge using previous messages
-      setMessages((prev) => {
-        const existsById = prev.find(
-          (m) => m.messageId === normalized.messageId
+  // load (or create) this device's key pairs before joining: the ECDH one
+  // receives the room key in ecdh rooms and sender-key sessions in every room,
+  // the ECDSA one signs what we send
+  useEffect(() => {
+    Promise.all([getDeviceKeyPair(), getSigningKeyPair()])
+      .then(async ([keyPair, signingPair]) => {
+        deviceKeysRef.current = keyPair;
+        signingKeysRef.current = signingPair;
+        signingPublicKeyRef.current = await exportPublicKey(
+          signingPair.publicKey
         );
-        if (existsById) {
-          return prev.map((m) =>
-            m.messageId === normalized.messageId
-              ? { ...m, ...normalized, plaintext: m.plaintext }
-              : m
-          );
-        } else {
-          // attempt optimistic match by sender+ciphertext+iv
-          if (normalized.senderId && normalized.ciphertext && normalized.iv) {
-            const matchIdx = prev.findIndex(
-              (m) =>
-                m.senderId === normalized.senderId &&
-                m.ciphertext === normalized.ciphertext &&
-                m.iv === normalized.iv
-            );
-            if (matchIdx !== -1) {
-              const copy = prev.slice();
-              copy[matchIdx] = {
-                ...copy[matchIdx],
-                ...normalized,
-                messageId: normalized.messageId,
-              };
-              return copy;
-            }
-          }
-          return [...prev, normalized];
-        }
+        setDevicePublicKey(await exportPublicKey(keyPair.publicKey));
+        setEcdhStatus("Waiting for a member who has the room key…");
+      })
+      .catch((err) => {
+        console.error("device key setup failed", err);
+        setDeviceKeyFailed(true);
+        setEcdhStatus("Could not set up a device key in this browser.");
       });
+  }, []);
 
-      setStatusMap((m) => ({
-        ...m,
-        [normalized.messageId]: normalized.status,
-      }));
-
-      // If this message is mine and we have the key, decrypt and set plaintext
-      const isMine = normalized.senderId === userId;
-      if (isMine && key && normalized.ciphertext && normalized.iv) {
-        try {
-          const pt = await decryptText(
-            key,
-            normalized.iv,
-            normalized.ciphertext
-          );
-          setMessages((prev) =>
-            prev.map((m) =>
-              m.messageId === normalized.messageId ? { ...m, plaintext: pt } : m
-            )
-          );
-        } catch (err) {
-          console.warn("decrypt failed on message-saved for own message", err);
-        }
+  // check each new message's signature against its sender's pinned or
+  // published signing key; re-checked when that sender's key changes
+  useEffect(() => {
+    const checked = trustCheckedRef.current;
+    // checked per signing key and revision: an edit is signed afresh
+    const tagFor = (m) => {
+      const member = membersRef.current[m.senderId];
+      const keyTag = (member && member.signingKey && member.signingKey.x) || "";
+      return `${keyTag}#${m.revision || 0}`;
+    };
+    const due = messages.filter(
+      (m) =>
+        m.messageId && !m.deletedAt && checked.get(m.messageId) !== tagFor(m)
+    );
+    if (due.length === 0) return;
+
+    (async () => {
+      const results = {};
+      for (const m of due) {
+        const member = membersRef.current[m.senderId];
+        const published = member && member.signingKey;
+        checked.set(m.messageId, tagFor(m));
+        results[m.messageId] = await senderTrust(m, published);
       }
-    });
+      setTrust((prev) => ({ ...prev, ...results }));
+    })().catch((err) => console.warn("signature check failed", err));
+  }, [messages, rosterVersion]);
 
-    socket.on("message-status-update", ({ messageId, status }) => {
-      setStatusMap((m) => ({ ...m, [messageId]: status }));
-      setMessages((prev) =>
-        prev.map((msg) =>
-          msg.messageId === messageId ? { ...msg, status } : msg
-        )
-      );
-    });
+  // passphrase rooms join once unlocked; ecdh rooms join to receive their key
+  // and a local copy of the room is opened first, so the join only asks for
+  // what's new since
+  const socketReady =
+    sessionLive &&
+    admitted &&
+    (!!devicePublicKey || deviceKeyFailed) &&
+    (!!key || (roomMode === "ecdh" && !!devicePublicKey)) &&
+    (historyCache === "none" ||
+      historyCache === "loaded" ||
+      roomMode === "ecdh");
 
-    socket.on("send-error", (err) => {
-      console.error("send-error", err);
-    });
+  const {
+    statusMap,
+    presence,
+    typing,
+    messageTimer,
+    timerNotices,
+    bans,
+    noteTyping,
+    stopTyping,
+    changeMessageTimer,
+  } = useRoomSocket(roomId, {
+    ready: socketReady && !showNamePrompt,
+    userId,
+    devicePublicKey,
+    setSession,
+    messagesRef,
+    lastSyncRef,
+    keyRef,
+    wrappableKeyRef,
+    roomModeRef,
+    adoptKey,
+    deviceKeysRef,
+    signingPublicKeyRef,
+    membersRef,
+    editUndoRef,
+    readReceiptsRef,
+    markFailed,
+    setMessages,
+    setHasMore,
+    setReactions,
+    setThreadReplies,
+    setRoomAccess,
+    setAdmission,
+    setRosterVersion,
+    setEcdhStatus,
+  });
 
-    return () => {
-      try {
-        socket.disconnect();
-      } catch (err) {
-        console.warn("socket disconnect failed:", err);
-      }
-      socket = null;
-    };
-  }, [key, roomId, userId, showNamePrompt]);
+  // a new room with no history: this unlock sets its passphrase
+  const choosingPassphrase = passphraseUnset && messages.length === 0;
+
+  const unlockRoom = () =>
+    unlock(passphrase, messagesRef.current, { choosing: choosingPassphrase });
 
-  // unlock: derive key, compute fingerprint, decrypt loaded messages
-  const unlock = async () => {
-    if (!passphrase) return alert("Enter passphrase");
-    const passTrim = (passphrase || "").trim();
-    const roomTrim = (roomId || "").trim();
+  // leave for good (not just close the tab): the remaining members rotate
+  const leaveRoom = async () => {
+    if (!window.confirm("Leave this room? You'll need to be let back in."))
+      return;
+    const socket = roomSocket();
+    if (socket) socket.emit("leave-room", { roomId });
+    await withOutbound(() => discardOutbound(roomId)).catch(console.warn);
+    await forgetCachedRoom(roomId).catch(console.warn);
+    navigate("/");
+  };
 
+  // forget everything this device keeps about rooms: history copies, key
+  // records and unsent messages. Device keys and pinned keys stay.
+  const clearLocalData = async () => {
+    if (
+      !window.confirm(
+        "Remove the copies of your rooms kept on this device, including messages not sent yet? Sent messages stay on the server."
+      )
+    )
+      return;
     try {
-      const k = await deriveKey(passTrim, roomTrim);
-      setKey(k);
+      await clearCachedRooms();
+      await clearOutbox();
+    } catch (err) {
+      console.error("clear local data failed", err);
+      return alert("Could not clear local data; see console for details.");
+    }
+    navigate("/");
+  };
 
-      // compute fingerprint
-      try {
-        if (typeof computeFingerprint === "function") {
-          const fp = await computeFingerprint(passTrim, roomTrim);
-          setKeyFingerprint(fp);
-          try {
-            window._chatFingerprint = fp;
-          } catch {
-            // ignore
-          }
-          console.log("Derived fingerprint (first 12 chars):", fp);
-        } else {
-          console.warn(
-            "computeFingerprint not available; ensure it's imported from ../utils/crypto"
-          );
-        }
-      } catch (err) {
-        console.warn(
-          "computeFingerprint failed:",
-          err && err.message ? err.message : err
-        );
-      }
+  // re-wrap the room key under a new passphrase; history is not re-encrypted
+  const submitPassphraseChange = async () => {
+    const next = newPassphrase.trim();
+    if (!next) return alert("Enter a new passphrase");
+    if (next !== confirmPassphrase.trim()) {
+      return alert("Passphrases do not match");
+    }
+    if (!(await changePassphrase(next))) return;
+    setShowPassChange(false);
+    setNewPassphrase("");
+    setConfirmPassphrase("");
+    alert(
+      "Passphrase changed. Share the new passphrase with anyone who still needs to unlock."
+    );
+  };
 
-      // attempt to decrypt loaded messages
-      if (messagesRef.current && messagesRef.current.length > 0) {
-        const toUpdate = [];
-        for (const m of messagesRef.current) {
-          if (!m.plaintext && m.ciphertext && m.iv) {
-            const pt = await safeDecrypt(k, m.iv, m.ciphertext);
-            if (pt !== null)
-              toUpdate.push({ messageId: m.messageId, plaintext: pt });
-          }
-        }
-        if (toUpdate.length > 0) {
-          setMessages((prev) =>
-            prev.map((m) => {
-              const found = toUpdate.find((u) => u.messageId === m.messageId);
-              return found ? { ...m, plaintext: found.plaintext } : m;
-            })
+  // why sending is off right now, or null
+  const sendBlocked = () => {
+    if (!key) return "Unlock with passphrase first";
+    if (!userId) return "Not signed in to the server yet.";
+    if (!keyVerified) {
+      return "This room's key couldn't be verified, so sending is off.";
+    }
+    return null;
+  };
+
+  // another go at getting in, with the code if the room wants one
+  const retryAccess = () => {
+    setAccessTry({ token: accessCode.trim() || undefined });
+  };
+
+  // seal and sign a message body for its slot ({ roomId, messageId,
+  // senderId, createdAt, revision? }): a versioned envelope, base64 iv +
+  // ciphertext. With a device key it's under the sender-key ratchet (the
+  // session is shared first so recipients can read it). Throws if it can't be
+  // encrypted; a signing failure only leaves it unsigned.
+  const sealBody = async (body, slot) => {
+    const plainText = encodeBody(body);
+    const sealed = deviceKeysRef.current
+      ? await withOutbound(async () => {
+          const session = await shareOutbound(
+            await currentOutbound(roomId, userId),
+            {
+              roomId,
+              userId,
+              roomKey: key,
+              keyPair: deviceKeysRef.current,
+              members: membersRef.current,
+            }
           );
-        }
+          const result = await ratchetEncrypt(
+            session,
+            plainText,
+            slot,
+            BODY_CTY
+          );
+          await saveOutbound(roomId, result.session);
+          return result;
+        })
+      : await sealMessage(key, plainText, slot, KDF_ROOM_KEY, BODY_CTY);
+    const { enc, iv, ciphertext } = sealed;
+    const ratchet = sealed.ratchet || null;
+    // sign the envelope so others can tell it really came from this device
+    let sig = null;
+    if (signingKeysRef.current) {
+      try {
+        sig = await signMessage(signingKeysRef.current.privateKey, {
+          ...slot,
+          ratchet,
+          enc,
+          iv,
+          ciphertext,
+        });
+      } catch (err) {
+        console.warn("signing failed, sending unsigned", err);
       }
-    } catch (err) {
-      console.error(
-        "deriveKey failed:",
-        err && err.message ? err.message : err
-      );
-      console.groupCollapsed("deriveKey debug");
-      console.log("passphrase length:", (passphrase || "").length);
-      console.log("roomId (raw):", roomId);
-      console.log("roomId (stringified):", JSON.stringify(roomId));
-      console.groupEnd();
-
-      alert(
-        "Failed to derive key. Check passphrase and room id; see console for details."
-      );
-      setKey(null);
     }
+    return { plainText, enc, iv, ciphertext, ratchet, sig };
   };
 
-  const send = async () => {
-    if (!text.trim()) return;
-    if (!key) return alert("Unlock with passphrase first");
-    if (!socket || socket.disconnected) return alert("Socket not connected");
-
+  // seal and sign one message body ({ text, attachment?, replyTo? }), show it
+  // right away and queue it in the outbox, which sends it now or once we're
+  // connected. A reply is filed under its thread's tag. Resolves false if it
+  // couldn't be encrypted.
+  const sendBody = async (body) => {
+    if (bodyTooLong(body)) {
+      alert(`Messages can be up to ${formatBytes(MAX_MESSAGE_BYTES)}.`);
+      return false;
+    }
     const messageId = window.crypto.randomUUID();
     const createdAt = new Date().toISOString();
-    // encryptText returns base64 iv + ciphertext
-    const { iv, ciphertext } = await encryptText(key, text);
+    let sealed;
+    let thread = null;
+    try {
+      sealed = await sealBody(body, {
+        roomId,
+        messageId,
+        senderId: userId,
+        createdAt,
+      });
+      if (body.replyTo) {
+        thread = await threadTag(key, roomId, body.replyTo.rootId);
+      }
+    } catch (err) {
+      console.error("encrypt failed", err);
+      alert("Could not encrypt the message; see console for details.");
+      return false;
+    }
+    const { plainText, enc, iv, ciphertext, ratchet, sig } = sealed;
 
     const username = localStorage.getItem("username") || "Anon";
 
-    const msg = {
+    // the message as it's kept locally (in the outbox too, so it can be shown
+    // and decrypted on a later visit); the outbox picks what send-message
+    // carries from it. The attachment's id is named outside the envelope so
+    // its bytes go when the message does.
+    const payload = {
       messageId,
       roomId,
       senderId: userId,
@@ -449,44 +794,275 @@ export default function Chat() {
       ciphertext,
       iv,
       createdAt,
-      plaintext: text,
-      status: "sending",
+      ratchet,
+      enc,
+      sig,
+      thread,
+      attachmentId: body.attachment ? body.attachment.id : null,
     };
 
     // optimistic local echo
-    setMessages((p) => [...p, msg]);
+    setMessages((p) => [
+      ...p,
+      { ...payload, plaintext: plainText, status: "sending" },
+    ]);
+
+    await queueMessage(payload);
+    return true;
+  };
+
+  const send = async () => {
+    if (!text.trim()) return;
+    const blocked = sendBlocked();
+    if (blocked) return alert(blocked);
+    if (editing) {
+      if (isOffline()) return alert("Edits can't be saved while offline.");
+      if (await saveEdit(editing, text)) cancelEdit();
+      return;
+    }
+    stopTyping();
+    if (await sendBody({ text, replyTo: replyRef() })) {
+      setText("");
+      setReplyingTo(null);
+    }
+  };
+
+  // what a message sent now quotes: the message being replied to, in its
+  // thread (or starting one)
+  const replyRef = () => {
+    const parent = replyingTo;
+    const body = parent && parseBody(parent.plaintext, parent.enc);
+    if (!body) return null;
+    const quoted = body.text || (body.attachment ? body.attachment.name : "");
+    return {
+      messageId: parent.messageId,
+      senderId: parent.senderId,
+      rootId: body.replyTo ? body.replyTo.rootId : parent.messageId,
+      text: quoted.slice(0, REPLY_SNIPPET_LENGTH),
+    };
+  };
+
+  const startReply = (msg) => {
+    if (editing) cancelEdit();
+    setReplyingTo(msg);
+  };
+
+  const startEdit = (msg) => {
+    const body = parseBody(msg.plaintext, msg.enc);
+    if (!body) return;
+    setReplyingTo(null);
+    setEditing(msg.messageId);
+    setText(body.text);
+  };
+
+  const cancelEdit = () => {
+    setEditing(null);
     setText("");
+  };
 
+  // seal the new text as the message's next revision (an attachment stays)
+  // and send it; shown locally right away, put back if the server refuses
+  const saveEdit = async (messageId, nextText) => {
+    const original = messagesRef.current.find((m) => m.messageId === messageId);
+    const body = original && parseBody(original.plaintext, original.enc);
+    if (!body || original.deletedAt) return false;
+    if (bodyTooLong({ ...body, text: nextText })) {
+      alert(`Messages can be up to ${formatBytes(MAX_MESSAGE_BYTES)}.`);
+      return false;
+    }
+    const revision = (original.revision || 0) + 1;
+    let sealed;
     try {
-      // NOTE: emit `senderId` (server expects senderId); keep the username field too
-      socket.emit("send-message", {
-        messageId,
+      sealed = await sealBody(
+        { ...body, text: nextText },
+        {
+          roomId,
+          messageId,
+          senderId: userId,
+          createdAt: original.createdAt,
+          revision,
+        }
+      );
+    } catch (err) {
+      console.error("encrypt edit failed", err);
+      alert("Could not encrypt the edit; see console for details.");
+      return false;
+    }
+    const { plainText, enc, iv, ciphertext, ratchet, sig } = sealed;
+    editUndoRef.current.set(messageId, original);
+    setMessages((prev) =>
+      applyMessageChange(prev, {
+        ...original,
+        enc,
+        iv,
+        ciphertext,
+        ratchet,
+        sig,
+        revision,
+        editedAt: new Date().toISOString(),
+        plaintext: plainText,
+      })
+    );
+    roomSocket().emit("edit-message", {
+      roomId,
+      messageId,
+      ciphertext,
+      iv,
+      enc,
+      ratchet,
+      sig,
+      revision,
+    });
+    return true;
+  };
+
+  // delete for everyone: the server drops the ciphertext and leaves a tombstone
+  const deleteMessage = (msg) => {
+    if (!window.confirm("Delete this message for everyone?")) return;
+    if (isOffline()) return alert("Socket not connected");
+    if (editing === msg.messageId) cancelEdit();
+    roomSocket().emit("delete-message", { roomId, messageId: msg.messageId });
+  };
+
+  // encrypt a file under the room key, upload it, then send a message that
+  // carries its descriptor
+  const attachFile = async (file) => {
+    if (!file) return;
+    const blocked = sendBlocked();
+    if (blocked) return alert(blocked);
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      return alert(
+        `Files up to ${formatBytes(MAX_ATTACHMENT_SIZE)} can be attached.`
+      );
+    }
+
+    const attachmentId = window.crypto.randomUUID();
+    const replyTo = replyRef();
+    setUploads((u) => [
+      ...u,
+      { id: attachmentId, name: file.name, progress: 0 },
+    ]);
+    const onProgress = (progress) =>
+      setUploads((u) =>
+        u.map((x) => (x.id === attachmentId ? { ...x, progress } : x))
+      );
+    try {
+      const { descriptor, blob } = await encryptAttachment(key, file, {
         roomId,
+        attachmentId,
+      });
+      await uploadAttachment(roomId, attachmentId, blob, onProgress);
+      if (await sendBody({ text: "", attachment: descriptor, replyTo })) {
+        setReplyingTo(null);
+      }
+    } catch (err) {
+      console.error("attachment upload failed", err);
+      alert("Could not upload the attachment; see console for details.");
+    } finally {
+      setUploads((u) => u.filter((x) => x.id !== attachmentId));
+    }
+  };
+
+  // add our reaction, or take it back if we already reacted with this emoji
+  const toggleReaction = async (msg, emoji) => {
+    setPickerFor(null);
+    const blocked = sendBlocked() || (isOffline() && "Not connected");
+    if (blocked) return alert(blocked);
+    const mine = Object.values(reactions).find(
+      (r) =>
+        r.senderId === userId &&
+        r.messageId === msg.messageId &&
+        r.emoji === emoji
+    );
+    if (mine) {
+      roomSocket().emit("unreact", { roomId, reactionKey: mine.reactionKey });
+      return;
+    }
+    try {
+      const { reactionKey, envelope } = await sealReaction(key, roomId, {
         senderId: userId,
-        username,
-        ciphertext,
-        iv,
-        createdAt,
+        messageId: msg.messageId,
+        emoji,
       });
+      roomSocket().emit("react", { roomId, reactionKey, envelope });
     } catch (err) {
-      console.error("emit send-message failed", err);
-      setMessages((prev) =>
-        prev.map((m) =>
-          m.messageId === messageId ? { ...m, status: "failed" } : m
-        )
-      );
+      console.error("encrypt reaction failed", err);
+      alert("Could not encrypt the reaction; see console for details.");
     }
   };
 
-  function renderTick(m) {
-    if (m.senderId !== userId) return null;
-    const status = statusMap[m.messageId] || m.status || "sent";
-    if (status === "sending") return <span className="tick">…</span>;
-    if (status === "sent") return <span className="tick">✓</span>;
-    if (status === "delivered") return <span className="tick">✓✓</span>;
-    if (status === "read") return <span className="tick tick-read">✓✓</span>;
-    return null;
+  // scroll to a quoted message, or open its thread when it isn't loaded
+  const jumpTo = (replyTo) => {
+    const el = document.getElementById(`msg-${replyTo.messageId}`);
+    if (!el) return setThreadRoot(replyTo.rootId);
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    el.classList.add("msg-flash");
+    setTimeout(() => el.classList.remove("msg-flash"), 1500);
+  };
+
+  // display name for a member, from the roster or their messages
+  const nameOf = (senderId) => {
+    if (senderId === userId) return "You";
+    const member = membersRef.current[senderId];
+    if (member && member.username) return member.username;
+    const sent = messagesRef.current.find((m) => m.senderId === senderId);
+    return (sent && sent.username) || "Someone";
+  };
+
+  // a sender's pin changed on this device: check their messages again
+  const recheckSender = (senderId) => {
+    for (const m of messagesRef.current) {
+      if (m.senderId === senderId) trustCheckedRef.current.delete(m.messageId);
+    }
+    setRosterVersion((v) => v + 1);
+  };
+
+  // the member now signs with a different key than the one pinned here
+  const acceptNewKey = async (senderId) => {
+    const member = membersRef.current[senderId];
+    if (!member || !member.signingKey) return;
+    const ok = window.confirm(
+      `${member.username} is signing with a new key. Only trust it if you know they changed devices or cleared their browser. Trust the new key?`
+    );
+    if (!ok) return;
+    await pinSigningKey(senderId, member.signingKey);
+    recheckSender(senderId);
+  };
+
+  const togglePicker = (msg) =>
+    setPickerFor((p) => (p === msg.messageId ? null : msg.messageId));
+
+  const toggleReceipts = (msg) =>
+    setReceiptsFor((id) => (id === msg.messageId ? null : msg.messageId));
+
+  // decrypted bodies, replies per thread root and reactions per message
+  const bodies = new Map();
+  const replyCounts = {};
+  for (const m of messages) {
+    const body = m.deletedAt ? null : parseBody(m.plaintext, m.enc);
+    bodies.set(m.messageId, body);
+    if (body && body.replyTo) {
+      const { rootId } = body.replyTo;
+      replyCounts[rootId] = (replyCounts[rootId] || 0) + 1;
+    }
+  }
+  const reactionTally = tallyReactions(Object.values(reactions));
+
+  // each timer change shows before the first message sent after it
+  const noticesAt = new Map();
+  for (const n of timerNotices) {
+    const at = messages.findIndex(
+      (m) => m.createdAt && new Date(m.createdAt) > new Date(n.setAt)
+    );
+    const idx = at === -1 ? messages.length : at;
+    noticesAt.set(idx, [...(noticesAt.get(idx) || []), n]);
   }
+  const renderNotices = (idx) =>
+    (noticesAt.get(idx) || []).map((n) => (
+      <div key={`timer-${n.setAt}`} className="system-notice">
+        {timerNotice(n, n.setBy === userId ? "You" : n.setByName || "Someone")}
+      </div>
+    ));
 
   return (
     <div className="chat-page">
@@ -547,109 +1123,256 @@ export default function Chat() {
           </div>
         </div>
       )}
+      <ChatHeader
+        roomId={roomId}
+        roomAccess={roomAccess}
+        isOwner={isOwner}
+        hasKey={!!key}
+        canChangePassphrase={mayWrapKey && !!key && keyRevision !== null}
+        memberCount={Object.keys(presence).length}
+        messageTimer={messageTimer}
+        readReceipts={readReceipts}
+        onToggleVerify={() => setShowVerify((v) => !v)}
+        onTogglePassChange={() => setShowPassChange((v) => !v)}
+        onToggleMembers={() => setShowMembers((v) => !v)}
+        onChangeTimer={changeMessageTimer}
+        onToggleLock={() => toggleLock(roomId, roomAccess)}
+        onChangeAccessCode={() => changeAccessCode(roomId, roomAccess)}
+        onToggleInvites={() => setShowInvites((v) => !v)}
+        onToggleReadReceipts={toggleReadReceipts}
+        onClearLocalData={clearLocalData}
+        onLeave={leaveRoom}
+      />
 
-      <header className="chat-header">
-        <h3>Private Room</h3>
-        <p className="room-id">Room: {roomId}</p>
-        {keyFingerprint && (
-          <div style={{ fontSize: 12, opacity: 0.8, marginTop: 6 }}>
-            Key fingerprint: <strong>{keyFingerprint}</strong> (first 12 chars)
+      {showInvites && isOwner && key && (
+        <InvitePanel
+          roomId={roomId}
+          wrappableKey={() => wrappableKeyRef.current()}
+          onClose={() => setShowInvites(false)}
+        />
+      )}
+
+      {showMembers && (
+        <MemberList
+          members={Object.values(presence)}
+          userId={userId}
+          ownerId={roomAccess && roomAccess.ownerId}
+          bans={isOwner ? bans : []}
+          onKick={isOwner ? (member) => kickMember(roomId, member) : null}
+          onBan={isOwner ? (member) => banMember(roomId, member) : null}
+          onUnban={(ban) => unbanMember(roomId, ban)}
+          onClose={() => setShowMembers(false)}
+        />
+      )}
+
+      {showVerify && key && (
+        <VerifyPanel
+          roomId={roomId}
+          userId={userId}
+          roomKey={key}
+          signingKey={signingPublicKeyRef.current}
+          members={Object.values(membersRef.current)}
+          onConfirmed={recheckSender}
+          onClose={() => setShowVerify(false)}
+        />
+      )}
+
+      {showPassChange && mayWrapKey && (
+        <div className="unlock-panel">
+          <input
+            className="input"
+            type="password"
+            placeholder="New passphrase"
+            value={newPassphrase}
+            onChange={(e) => setNewPassphrase(e.target.value)}
+          />
+          <StrengthMeter passphrase={newPassphrase.trim()} />
+          <input
+            className="input"
+            type="password"
+            placeholder="Confirm new passphrase"
+            value={confirmPassphrase}
+            onChange={(e) => setConfirmPassphrase(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") {
+                e.preventDefault();
+                submitPassphraseChange();
+              }
+            }}
+          />
+          <button
+            className="btn"
+            onClick={submitPassphraseChange}
+            disabled={changingPass}
+          >
+            {changingPass ? "Saving…" : "Save"}
+          </button>
+          <div className="hint">
+            Re-wraps the room key: history stays readable and members already in
+            the room are not interrupted.
           </div>
-        )}
-      </header>
+        </div>
+      )}
 
-      {!key ? (
+      {admission && admission.status === "refused" ? (
+        <div className="unlock-panel">
+          <div className="hint">
+            {REFUSALS[admission.error] || `Can't join: ${admission.error}.`}
+          </div>
+          {NEEDS_ACCESS_CODE.includes(admission.error) && (
+            <input
+              className="input"
+              type="password"
+              placeholder="Access code"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  retryAccess();
+                }
+              }}
+            />
+          )}
+          {admission.error !== "banned from this room" && (
+            <button className="btn" onClick={retryAccess}>
+              {NEEDS_ACCESS_CODE.includes(admission.error)
+                ? "Join"
+                : "Try again"}
+            </button>
+          )}
+        </div>
+      ) : !key && roomMode === "ecdh" ? (
+        <div className="unlock-panel">
+          <div className="hint">
+            Passphrase-free room: members who are online share the room key with
+            this device. {ecdhStatus}
+          </div>
+        </div>
+      ) : !key ? (
         <div className="unlock-panel">
           <input
             className="input"
-            placeholder="Enter passphrase"
+            placeholder={
+              choosingPassphrase ? "Choose a passphrase" : "Enter passphrase"
+            }
             value={passphrase}
             onChange={(e) => setPassphrase(e.target.value)}
             onKeyDown={(e) => {
               if (e.key === "Enter") {
                 e.preventDefault();
-                unlock();
+                unlockRoom();
               }
             }}
           />
-          <button className="btn" onClick={unlock}>
+          {choosingPassphrase && (
+            <StrengthMeter passphrase={passphrase.trim()} />
+          )}
+          <button className="btn" onClick={unlockRoom}>
             Unlock
           </button>
           <div className="hint">
-            Passphrase + Room ID unlock messages via client-side encryption.
+            {choosingPassphrase
+              ? "You're the first here: this passphrase becomes the room's. Share it with members out of band."
+              : "Passphrase + Room ID unlock messages via client-side encryption."}
           </div>
         </div>
       ) : (
         <>
-          <div className="messages" ref={listRef}>
-            {messages.map((msg, idx) => {
-              const mine = msg.senderId === userId;
-              // prefer msg.username, but fallback to local stored username for safety
-              const username = msg.username || localStorage.getItem("username") || "Anon";
-              const textToShow =
-                msg.plaintext ?? "Encrypted message (unlock to view)";
-              const createdAt = msg.createdAt;
-
-              return (
-                <div
-                  key={msg.messageId || idx}
-                  className={`msg-row ${mine ? "mine" : "theirs"}`}
+          <div className="messages" ref={listRef} onScroll={onListScroll}>
+            {hasMore && (
+              <div className="load-older">
+                <button
+                  className="btn-link"
+                  onClick={loadOlder}
+                  disabled={loadingOlder}
                 >
-                  <div
-                    className={`bubble ${
-                      mine ? "bubble-mine" : "bubble-theirs"
-                    }`}
-                  >
-                    {!mine && (
-                      <div
-                        style={{
-                          fontSize: 12,
-                          opacity: 0.85,
-                          marginBottom: 6,
-                          fontWeight: 500,
-                        }}
-                      >
-                        {username}
-                      </div>
-                    )}
-                    <div className="msg-text">{textToShow}</div>
-                    <div className="msg-meta">
-                      <div className="time">
-                        {createdAt
-                          ? new Date(createdAt).toLocaleTimeString()
-                          : ""}
-                      </div>
-                      <div className="tick-wrap">{renderTick(msg)}</div>
-                    </div>
-                  </div>
-                </div>
-              );
-            })}
+                  {loadingOlder ? "Loading…" : "Load older messages"}
+                </button>
+              </div>
+            )}
+            {messages.map((msg, idx) => (
+              <React.Fragment key={msg.messageId || idx}>
+                {renderNotices(idx)}
+                <MessageBubble
+                  msg={msg}
+                  body={bodies.get(msg.messageId)}
+                  userId={userId}
+                  roomId={roomId}
+                  roomKey={key}
+                  trust={trust[msg.messageId]}
+                  status={statusMap[msg.messageId] || msg.status || "sent"}
+                  replies={replyCounts[msg.messageId]}
+                  reactionCounts={reactionTally.get(msg.messageId)}
+                  pickerOpen={pickerFor === msg.messageId}
+                  receiptsOpen={receiptsFor === msg.messageId}
+                  nameOf={nameOf}
+                  onJump={jumpTo}
+                  onOpenThread={(m) => setThreadRoot(m.messageId)}
+                  onReply={startReply}
+                  onTogglePicker={togglePicker}
+                  onToggleReaction={toggleReaction}
+                  onEdit={startEdit}
+                  onDelete={deleteMessage}
+                  onRetry={retrySend}
+                  onDiscard={discardSend}
+                  onAcceptKey={acceptNewKey}
+                  onToggleReceipts={toggleReceipts}
+                  onCloseReceipts={() => setReceiptsFor(null)}
+                />
+              </React.Fragment>
+            ))}
+            {renderNotices(messages.length)}
           </div>
 
-          <div className="composer">
-            <textarea
-              className="composer-input"
-              placeholder="Type a message"
-              value={text}
-              onChange={(e) => setText(e.target.value)}
-              onKeyDown={(e) => {
-                if (e.key === "Enter" && !e.shiftKey) {
-                  e.preventDefault();
-                  send();
-                }
-              }}
+          {threadRoot && (
+            <ThreadPanel
+              rootId={threadRoot}
+              messages={messages}
+              serverReplies={threadReplies}
+              nameOf={nameOf}
+              onJump={jumpTo}
+              onReply={startReply}
+              onClose={() => setThreadRoot(null)}
             />
-            <button
-              className="btn btn-send"
-              onClick={send}
-              disabled={!text.trim() || !key}
-            >
-              Send
-            </button>
+          )}
+          {!keyVerified && (
+            <div className="hint">
+              The server doesn't know this room, so the key can't be verified
+              and sending is turned off.
+            </div>
+          )}
+          <div className="typing">
+            {typingLabel(
+              Object.values(typing).map((t) => t.username || "Anon")
+            )}
           </div>
+          {uploads.map((u) => (
+            <div key={u.id} className="upload">
+              <span>
+                {u.progress > 0 ? "Uploading" : "Encrypting"} {u.name}…
+              </span>
+              <progress value={u.progress} max={1} />
+            </div>
+          ))}
+          <Composer
+            text={text}
+            editing={editing}
+            replyingTo={replyingTo}
+            nameOf={nameOf}
+            disabled={!key || !keyVerified}
+            onChange={(value) => {
+              setText(value);
+              noteTyping(value, editing);
+            }}
+            onBlur={stopTyping}
+            onSend={send}
+            onAttach={attachFile}
+            onCancelEdit={cancelEdit}
+            onCancelReply={() => setReplyingTo(null)}
+          />
         </>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -1,16 +1,52 @@
 // web/src/pages/Landing.jsx
 import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { generateRoomKey, wrapRoomKey, createKeyCheck } from "../utils/crypto";
+import { putRoomKey, putKeyCheck } from "../utils/api";
+import { isWeakPassphrase } from "../utils/passphrase";
+import { authHeaders, startSession } from "../utils/session";
+import StrengthMeter from "../components/StrengthMeter";
+
+// give a freshly created room its content key, wrapped under the creator's
+// passphrase, and its key check value — the same state Chat's first unlock
+// would leave behind
+async function storeRoomPassphrase(roomId, passphrase) {
+  const key = await generateRoomKey({ extractable: true });
+  const envelope = await wrapRoomKey(key, passphrase);
+  const result = await putRoomKey(roomId, envelope, 0);
+  if (result.conflict) throw new Error("room already has a key");
+  await putKeyCheck(roomId, await createKeyCheck(key, roomId));
+}
 
 export default function Landing() {
   const [room, setRoom] = useState("");
   const [name, setName] = useState("");
   const [creating, setCreating] = useState(false);
+  // passphrase-free rooms share the key between members' devices (ECDH)
+  const [passphraseFree, setPassphraseFree] = useState(false);
+  // optional: otherwise the first unlock in the room picks the passphrase
+  const [passphrase, setPassphrase] = useState("");
+  // optional: what others need to join, on top of the passphrase
+  const [accessCode, setAccessCode] = useState("");
   const navigate = useNavigate();
 
   const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
 
   const createRoom = async () => {
+    const pass = passphraseFree ? "" : passphrase.trim();
+    const code = accessCode.trim();
+    if (code && code.length < 4) {
+      return alert("Access codes are at least 4 characters.");
+    }
+    if (
+      pass &&
+      isWeakPassphrase(pass) &&
+      !window.confirm(
+        "This passphrase is weak: anyone who gets the room's stored key can guess it. Use it anyway?"
+      )
+    ) {
+      return;
+    }
     setCreating(true);
 
     // normalize & persist display name for reconnects / send-message fallback
@@ -24,10 +60,16 @@ export default function Landing() {
     }
 
     try {
+      // the room is created by (and owned by) our session's user
+      await startSession(trimmedName);
       const res = await fetch(`${API}/create-room`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ room_name: "private" }),
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({
+          room_name: "private",
+          key_mode: passphraseFree ? "ecdh" : "passphrase",
+          access_token: code || undefined,
+        }),
       });
 
       // try to parse json, but handle non-json responses gracefully
@@ -49,6 +91,17 @@ export default function Landing() {
       const roomId = data && data.roomId;
       if (!roomId) throw new Error("Server did not return roomId");
 
+      if (pass) {
+        try {
+          await storeRoomPassphrase(roomId, pass);
+        } catch (err) {
+          console.warn("storing room passphrase failed", err);
+          alert(
+            "Room created, but its passphrase couldn't be saved. Choose it again when you unlock the room."
+          );
+        }
+      }
+
       const url = `${window.location.origin}/chat/${roomId}`;
 
       // try to copy to clipboard; fallback to prompt if that fails
@@ -65,9 +118,6 @@ export default function Landing() {
         }
       }
 
-      // set local identity and navigate
-      const userId = crypto.randomUUID();
-      localStorage.setItem("userId", userId);
       // make sure username/displayName already set above; if not, set here
       if (!localStorage.getItem("username")) {
         localStorage.setItem("username", trimmedName);
@@ -85,8 +135,6 @@ export default function Landing() {
       );
       if (fallback) {
         const roomId = crypto.randomUUID();
-        const userId = crypto.randomUUID();
-        localStorage.setItem("userId", userId);
         localStorage.setItem("username", trimmedName);
         localStorage.setItem("displayName", trimmedName);
         alert(
@@ -112,9 +160,6 @@ export default function Landing() {
       console.warn("Could not write displayName to localStorage", e);
     }
 
-    const userId = crypto.randomUUID();
-    localStorage.setItem("userId", userId);
-
     // navigate to chat (actual join/emit usually happens inside Chat page)
     navigate(`/chat/${room}`);
   };
@@ -148,6 +193,34 @@ export default function Landing() {
           }}
           style={{ padding: 8, width: "100%", marginBottom: 10 }}
         />
+        <label style={{ display: "block", marginBottom: 10, fontSize: 14 }}>
+          <input
+            type="checkbox"
+            checked={passphraseFree}
+            onChange={(e) => setPassphraseFree(e.target.checked)}
+            style={{ marginRight: 6 }}
+          />
+          Passphrase-free room (members' devices share the key)
+        </label>
+        {!passphraseFree && (
+          <div style={{ marginBottom: 10 }}>
+            <input
+              type="password"
+              placeholder="Room passphrase (optional — or pick it on first unlock)"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              style={{ padding: 8, width: "100%" }}
+            />
+            <StrengthMeter passphrase={passphrase.trim()} />
+          </div>
+        )}
+        <input
+          type="password"
+          placeholder="Access code (optional — others need it to join)"
+          value={accessCode}
+          onChange={(e) => setAccessCode(e.target.value)}
+          style={{ padding: 8, width: "100%", marginBottom: 10 }}
+        />
         <button
           onClick={createRoom}
           disabled={creating}
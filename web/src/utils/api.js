@@ -0,0 +1,174 @@
+// web/src/utils/api.js
+// REST helpers for the chat server; every call carries our session token
+import { authHeaders } from "./session";
+
+const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+// join the room, or check we're still in it, with the room's access token
+// or an invite link's token if we have one. Resolves its access settings
+// { roomId, ownerId, locked, hasAccessToken, invite } (invite: { inviteId,
+// keyEnvelope } when the invite was good), { refused } with the server's
+// reason when we can't come in, or null when the server doesn't know the room
+export async function requestRoomAccess(roomId, { accessToken, invite } = {}) {
+  const res = await fetch(`${API}/rooms/${roomId}/join`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify({ accessToken, invite }),
+  });
+  if (res.status === 404) return null;
+  const data = await res.json().catch(() => null);
+  // 400: what we sent can't be right (e.g. an overlong access code)
+  if (res.status === 403 || res.status === 400) {
+    return { refused: (data && data.error) || "not allowed in" };
+  }
+  if (!res.ok) {
+    const serverMsg = data && data.error ? data.error : `HTTP ${res.status}`;
+    throw new Error(`room access failed: ${serverMsg}`);
+  }
+  return data;
+}
+
+// wrapped room content key: { mode, envelope, revision, keyCheck } (envelope
+// and keyCheck are null until the first unlock stores them), or null when the
+// server doesn't know the room
+export async function getRoomKey(roomId) {
+  const res = await fetch(`${API}/rooms/${roomId}/key`, {
+    headers: authHeaders(),
+  });
+  if (res.status === 404) return null;
+  if (!res.ok) throw new Error(`get room key failed: HTTP ${res.status}`);
+  return res.json();
+}
+
+// store a wrapped key over revision `expectedRevision`. Resolves
+// { revision } on success or { conflict: true, envelope, revision } when the
+// key was changed by someone else in the meantime.
+export async function putRoomKey(roomId, envelope, expectedRevision) {
+  const res = await fetch(`${API}/rooms/${roomId}/key`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify({ envelope, expectedRevision }),
+  });
+  const data = await res.json().catch(() => null);
+  if (res.status === 409) return { conflict: true, ...data };
+  if (!res.ok) {
+    const serverMsg = data && data.error ? data.error : `HTTP ${res.status}`;
+    throw new Error(`put room key failed: ${serverMsg}`);
+  }
+  return { revision: data.revision };
+}
+
+// store the room's key check value unless it has one. Resolves { keyCheck }
+// with whichever value the server now holds (ours, or an earlier one).
+export async function putKeyCheck(roomId, keyCheck) {
+  const res = await fetch(`${API}/rooms/${roomId}/key-check`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify({ keyCheck }),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok && res.status !== 409) {
+    const serverMsg = data && data.error ? data.error : `HTTP ${res.status}`;
+    throw new Error(`put key check failed: ${serverMsg}`);
+  }
+  return { keyCheck: data.keyCheck };
+}
+
+// upload an encrypted attachment blob. fetch can't report upload progress, so
+// this uses XHR; onProgress gets a 0..1 fraction. Resolves { attachmentId, size }.
+export function uploadAttachment(roomId, attachmentId, blob, onProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", `${API}/rooms/${roomId}/attachments/${attachmentId}`);
+    xhr.setRequestHeader("Content-Type", "application/octet-stream");
+    for (const [name, value] of Object.entries(authHeaders())) {
+      xhr.setRequestHeader(name, value);
+    }
+    xhr.upload.onprogress = (e) => {
+      if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        // non-JSON error page
+      }
+      if (xhr.status === 201) return resolve(data);
+      const serverMsg = data && data.error ? data.error : `HTTP ${xhr.status}`;
+      reject(new Error(`upload attachment failed: ${serverMsg}`));
+    };
+    xhr.onerror = () => reject(new Error("upload attachment failed: network"));
+    xhr.send(blob);
+  });
+}
+
+// the encrypted bytes of an attachment as an ArrayBuffer
+export async function downloadAttachment(roomId, attachmentId) {
+  const res = await fetch(
+    `${API}/rooms/${roomId}/attachments/${attachmentId}`,
+    { headers: authHeaders() }
+  );
+  if (!res.ok) {
+    throw new Error(`download attachment failed: HTTP ${res.status}`);
+  }
+  return res.arrayBuffer();
+}
+
+// every reaction in the room: [{ senderId, reactionKey, envelope, createdAt }]
+export async function getReactions(roomId) {
+  const res = await fetch(`${API}/rooms/${roomId}/reactions`, {
+    headers: authHeaders(),
+  });
+  if (!res.ok) throw new Error(`get reactions failed: HTTP ${res.status}`);
+  const data = await res.json();
+  return Array.isArray(data.reactions) ? data.reactions : [];
+}
+
+// who got and read a message: { recipients, delivered, read, receipts:
+// [{ userId, username, deliveredAt, readAt }] }
+export async function getMessageReceipts(roomId, messageId) {
+  const res = await fetch(
+    `${API}/rooms/${roomId}/messages/${messageId}/receipts`,
+    { headers: authHeaders() }
+  );
+  if (!res.ok) throw new Error(`get receipts failed: HTTP ${res.status}`);
+  return res.json();
+}
+
+// (owner) a new invite: { expiresIn (seconds, null: never), maxUses (null: no
+// limit), keyEnvelope }. Resolves { invite, token }; the token is only ever
+// shown this once.
+export async function createInvite(roomId, options) {
+  const res = await fetch(`${API}/rooms/${roomId}/invites`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify(options),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const serverMsg = data && data.error ? data.error : `HTTP ${res.status}`;
+    throw new Error(`create invite failed: ${serverMsg}`);
+  }
+  return data;
+}
+
+// (owner) the room's invites: [{ inviteId, createdAt, expiresAt, maxUses,
+// uses }], newest first
+export async function getInvites(roomId) {
+  const res = await fetch(`${API}/rooms/${roomId}/invites`, {
+    headers: authHeaders(),
+  });
+  if (!res.ok) throw new Error(`get invites failed: HTTP ${res.status}`);
+  const data = await res.json();
+  return Array.isArray(data.invites) ? data.invites : [];
+}
+
+// (owner) revoke an invite: its link stops working, key included
+export async function revokeInvite(roomId, inviteId) {
+  const res = await fetch(`${API}/rooms/${roomId}/invites/${inviteId}`, {
+    method: "DELETE",
+    headers: authHeaders(),
+  });
+  if (!res.ok) throw new Error(`revoke invite failed: HTTP ${res.status}`);
+}
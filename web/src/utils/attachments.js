@@ -0,0 +1,140 @@
+// web/src/utils/attachments.js
+// file attachments, encrypted before upload. The file is split into chunks,
+// each sealed with AES-GCM under the room key with its own IV and with the
+// room, attachment id, chunk index and a last-chunk flag as additional data,
+// so chunks can't be reordered, swapped between files or cut off. The upload
+// is the chunks back to back: iv (12 bytes) then ciphertext + tag.
+//
+// What the file is (name, type, size, how it was chunked) travels in the
+// message as an attachment descriptor, inside the message's own encryption.
+
+export const ATTACHMENT_VERSION = 1;
+export const ATTACHMENT_CHUNK_SIZE = 64 * 1024;
+// largest file accepted for upload; the server limit is on ciphertext and
+// leaves room for the per-chunk overhead
+export const MAX_ATTACHMENT_SIZE = 24 * 1024 * 1024;
+// image types shown inline once decrypted (not svg: it can carry script)
+export const PREVIEW_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+];
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const textEncoder = new TextEncoder();
+
+function chunkAad(roomId, attachmentId, index, last) {
+  return textEncoder.encode(
+    JSON.stringify([
+      "attachment",
+      ATTACHMENT_VERSION,
+      String(roomId),
+      String(attachmentId),
+      index,
+      last,
+    ])
+  );
+}
+
+// bytes on the wire for a file of `size` bytes
+export function encryptedSize(size, chunkSize = ATTACHMENT_CHUNK_SIZE) {
+  const chunks = Math.max(1, Math.ceil(size / chunkSize));
+  return size + chunks * (IV_BYTES + TAG_BYTES);
+}
+
+// true for a descriptor this client knows how to fetch and decrypt
+export function isAttachmentDescriptor(d) {
+  return (
+    !!d &&
+    typeof d === "object" &&
+    d.v === ATTACHMENT_VERSION &&
+    typeof d.id === "string" &&
+    typeof d.name === "string" &&
+    typeof d.type === "string" &&
+    Number.isInteger(d.size) &&
+    d.size >= 0 &&
+    Number.isInteger(d.chunkSize) &&
+    d.chunkSize > 0
+  );
+}
+
+// encrypt a File/Blob for the room. Resolves { descriptor, blob } where blob
+// is what gets uploaded under descriptor.id.
+export async function encryptAttachment(key, file, { roomId, attachmentId }) {
+  const size = file.size;
+  const chunkCount = Math.max(1, Math.ceil(size / ATTACHMENT_CHUNK_SIZE));
+  const parts = [];
+  for (let index = 0; index < chunkCount; index++) {
+    const start = index * ATTACHMENT_CHUNK_SIZE;
+    const plain = await file
+      .slice(start, Math.min(start + ATTACHMENT_CHUNK_SIZE, size))
+      .arrayBuffer();
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const sealed = await crypto.subtle.encrypt(
+      {
+        name: "AES-GCM",
+        iv,
+        additionalData: chunkAad(
+          roomId,
+          attachmentId,
+          index,
+          index === chunkCount - 1
+        ),
+      },
+      key,
+      plain
+    );
+    parts.push(iv, new Uint8Array(sealed));
+  }
+  return {
+    descriptor: {
+      v: ATTACHMENT_VERSION,
+      id: attachmentId,
+      name: file.name || "file",
+      type: file.type || "application/octet-stream",
+      size,
+      chunkSize: ATTACHMENT_CHUNK_SIZE,
+    },
+    blob: new Blob(parts, { type: "application/octet-stream" }),
+  };
+}
+
+// decrypt a downloaded attachment back into a Blob of the original type.
+// Throws if any chunk fails to authenticate or the length doesn't add up.
+export async function decryptAttachment(key, data, descriptor, roomId) {
+  const bytes = new Uint8Array(data);
+  const { id, size, chunkSize, type } = descriptor;
+  if (bytes.byteLength !== encryptedSize(size, chunkSize)) {
+    throw new Error("attachment size doesn't match its descriptor");
+  }
+  const chunkCount = Math.max(1, Math.ceil(size / chunkSize));
+  const parts = [];
+  let offset = 0;
+  for (let index = 0; index < chunkCount; index++) {
+    const plainLength = Math.min(chunkSize, size - index * chunkSize);
+    const iv = bytes.subarray(offset, offset + IV_BYTES);
+    offset += IV_BYTES;
+    const sealed = bytes.subarray(offset, offset + plainLength + TAG_BYTES);
+    offset += plainLength + TAG_BYTES;
+    const plain = await crypto.subtle.decrypt(
+      {
+        name: "AES-GCM",
+        iv,
+        additionalData: chunkAad(roomId, id, index, index === chunkCount - 1),
+      },
+      key,
+      sealed
+    );
+    parts.push(new Uint8Array(plain));
+  }
+  return new Blob(parts, { type });
+}
+
+// "1.2 MB" for display
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,101 @@
+// web/src/utils/cache.js
+// this device's copy of each room's history, so a room renders before the
+// server answers and can be read offline. Only what the server already holds
+// is kept (sealed messages, never plaintext), and the copy as a whole is
+// encrypted again under a key derived from the room key: metadata included,
+// it reads as nothing until the room is unlocked. The room's key record is
+// remembered too so a passphrase room can be unlocked offline; its envelope
+// is wrapped under the passphrase, exactly as the server stores it.
+import { decryptText, encryptText, localCacheKey } from "./crypto";
+import { idbClear, idbDelete, idbGet, idbPut } from "./idb";
+
+const HISTORY = "history";
+const ROOMS = "rooms";
+// newest messages kept per room; older ones are paged in from the server
+const CACHE_LIMIT = 500;
+
+const cacheAad = (roomId) =>
+  new TextEncoder().encode(`history-cache|${roomId}`);
+
+// whether there's a copy to open (without needing the key)
+export async function hasCachedHistory(roomId) {
+  return !!(await idbGet(HISTORY, roomId));
+}
+
+// { messages, hasMore, syncedAt }, or null when there's no copy. A copy that
+// doesn't open under this key is dropped.
+export async function loadCachedHistory(key, roomId) {
+  const sealed = await idbGet(HISTORY, roomId);
+  if (!sealed) return null;
+  try {
+    const cacheKey = await localCacheKey(key, roomId);
+    const json = await decryptText(
+      cacheKey,
+      sealed.iv,
+      sealed.ciphertext,
+      cacheAad(roomId)
+    );
+    const copy = JSON.parse(json);
+    // disappearing messages that expired since don't come back
+    const now = Date.now();
+    copy.messages = copy.messages.filter(
+      (m) => !m.expiresAt || new Date(m.expiresAt).getTime() > now
+    );
+    return copy;
+  } catch (err) {
+    console.warn("history cache unreadable, dropping it:", err && err.message);
+    await idbDelete(HISTORY, roomId);
+    return null;
+  }
+}
+
+// replace the room's copy with the messages the server has confirmed (the
+// outbox keeps the rest); `syncedAt` is the server time they're current to
+export async function saveCachedHistory(
+  key,
+  roomId,
+  { messages, hasMore, syncedAt }
+) {
+  const confirmed = messages
+    .filter(
+      (m) =>
+        m.messageId &&
+        m.createdAt &&
+        m.status !== "sending" &&
+        m.status !== "failed"
+    )
+    .map((m) => ({ ...m, plaintext: undefined }));
+  const kept = confirmed.slice(-CACHE_LIMIT);
+  const cacheKey = await localCacheKey(key, roomId);
+  const sealed = await encryptText(
+    cacheKey,
+    JSON.stringify({
+      messages: kept,
+      hasMore: hasMore || kept.length < confirmed.length,
+      syncedAt: syncedAt || null,
+    }),
+    cacheAad(roomId)
+  );
+  await idbPut(HISTORY, roomId, { ...sealed, savedAt: Date.now() });
+}
+
+// the room key record as the server last gave it
+export function rememberRoomRecord(roomId, record) {
+  return idbPut(ROOMS, roomId, record);
+}
+
+export async function rememberedRoomRecord(roomId) {
+  return (await idbGet(ROOMS, roomId)) || null;
+}
+
+// forget every room's history copy and key record
+export async function clearCachedRooms() {
+  await idbClear(HISTORY);
+  await idbClear(ROOMS);
+}
+
+// forget one room (we left it)
+export async function forgetCachedRoom(roomId) {
+  await idbDelete(HISTORY, roomId);
+  await idbDelete(ROOMS, roomId);
+}
@@ -0,0 +1,54 @@
+// web/src/utils/content.js
+// what's inside a message's ciphertext. Messages sent with BODY_CTY in their
+// envelope header carry a JSON body ({ text, attachment?, replyTo? }); older
+// ones are bare text. The header is bound into the envelope, so a body can't
+// be passed off as text or the other way round.
+import { isAttachmentDescriptor } from "./attachments";
+
+export const BODY_CTY = "chatdt.body+json";
+
+// replyTo is { messageId, senderId, rootId, text }: the message quoted, the
+// thread it's in (its own id when it starts one) and a snippet of it
+function isReplyRef(r) {
+  return (
+    !!r &&
+    typeof r === "object" &&
+    typeof r.messageId === "string" &&
+    typeof r.senderId === "string" &&
+    typeof r.rootId === "string" &&
+    typeof r.text === "string"
+  );
+}
+
+export function encodeBody({
+  text = "",
+  attachment = null,
+  replyTo = null,
+} = {}) {
+  const body = { text: String(text) };
+  if (attachment) body.attachment = attachment;
+  if (replyTo) body.replyTo = replyTo;
+  return JSON.stringify(body);
+}
+
+// { text, attachment, replyTo } from a decrypted message; null while it's
+// still encrypted. Fields this client doesn't understand are dropped.
+export function parseBody(plaintext, enc) {
+  if (plaintext === undefined || plaintext === null) return null;
+  if (!enc || enc.cty !== BODY_CTY) {
+    return { text: plaintext, attachment: null, replyTo: null };
+  }
+  try {
+    const body = JSON.parse(plaintext);
+    return {
+      text: typeof body.text === "string" ? body.text : "",
+      attachment: isAttachmentDescriptor(body.attachment)
+        ? body.attachment
+        : null,
+      replyTo: isReplyRef(body.replyTo) ? body.replyTo : null,
+    };
+  } catch (err) {
+    console.warn("unreadable message body:", err && err.message);
+    return { text: "", attachment: null, replyTo: null };
+  }
+}
@@ -1,9 +1,11 @@
 // web/src/utils/crypto.js
 // deterministic, cross-browser Web Crypto helpers
+import { idbGet, idbPut } from "./idb";
+
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
 
-function toBase64(buf) {
+export function toBase64(buf) {
   const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
   let binary = "";
   for (let i = 0; i < bytes.byteLength; i++) {
@@ -12,7 +14,7 @@ function toBase64(buf) {
   return btoa(binary);
 }
 
-function fromBase64(b64) {
+export function fromBase64(b64) {
   const binary = atob(b64);
   const len = binary.length;
   const bytes = new Uint8Array(len);
@@ -43,7 +45,17 @@ function normalizeToArrayBuffer(input) {
   throw new Error("Unsupported input type for crypto normalizer: " + typeof input);
 }
 
-export async function deriveKey(passphrase, roomId) {
+// legacy key straight from the passphrase, salted with the room id. Only used
+// for rooms created before wrapped room keys; the parameters are frozen so
+// those rooms keep opening. Non-extractable unless the caller is about to
+// wrap it as a room key.
+const LEGACY_KDF = { name: "PBKDF2", hash: "SHA-256", iterations: 200000 };
+
+export async function deriveKey(
+  passphrase,
+  roomId,
+  { extractable = false } = {}
+) {
   const passBytes = textEncoder.encode(String(passphrase || ""));
   const salt = textEncoder.encode(String(roomId || "default-room"));
   const baseKey = await crypto.subtle.importKey(
@@ -54,29 +66,346 @@ export async function deriveKey(passphrase, roomId) {
     ["deriveKey"]
   );
 
-  // NOTE: make extractable=true so exportKeyBase64 can export raw bytes for fingerprinting.
-  // If you want to lock this down later, set extractable=false (but then exportKeyBase64 won't work).
-  const key = await crypto.subtle.deriveKey(
+  return crypto.subtle.deriveKey(
+    { ...LEGACY_KDF, salt },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// ----- room content key -----
+// Each room has a random AES-GCM content key that encrypts every message. The
+// server only ever sees it wrapped under a passphrase-derived key, so changing
+// the passphrase is a re-wrap and history stays readable. The key a room is
+// opened with is non-extractable; re-wrapping it takes an extractable copy
+// unwrapped again for the purpose, which lockRoomKey turns back once wrapped.
+
+// Passphrase KDF profiles, by version. The envelope stores the version and
+// the parameters it was wrapped with, so the default can be raised by adding
+// a profile without breaking older rooms; they're re-wrapped on next unlock.
+export const KDF_PROFILES = {
+  1: { name: "PBKDF2", hash: "SHA-256", iterations: 200000 },
+  2: { name: "PBKDF2", hash: "SHA-256", iterations: 600000 },
+};
+export const CURRENT_KDF_VERSION = 2;
+
+// bounds on what an envelope may ask for: the server stores the parameters, so
+// it mustn't be able to talk a client into a trivial or endless derivation
+const KDF_HASHES = ["SHA-256", "SHA-512"];
+const MIN_KDF_ITERATIONS = 100000;
+const MAX_KDF_ITERATIONS = 10000000;
+
+// random content key; non-extractable unless the caller is about to wrap it
+export async function generateRoomKey({ extractable = false } = {}) {
+  return crypto.subtle.generateKey(
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// a non-extractable copy of a room key that was extractable only to be
+// wrapped; the raw bytes don't outlive the call
+export async function lockRoomKey(key) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey("raw", key));
+  try {
+    return await crypto.subtle.importKey(
+      "raw",
+      raw,
+      { name: "AES-GCM" },
+      false,
+      ["encrypt", "decrypt"]
+    );
+  } finally {
+    raw.fill(0);
+  }
+}
+
+// the parameters of a stored envelope, checked against the bounds above.
+// Envelopes from before versioning carry no kdf.v and count as version 1.
+function envelopeKdf(envelope) {
+  const kdf = envelope && envelope.kdf;
+  if (
+    !envelope ||
+    envelope.v !== 1 ||
+    !kdf ||
+    kdf.name !== "PBKDF2" ||
+    !KDF_HASHES.includes(kdf.hash) ||
+    !Number.isInteger(kdf.iterations) ||
+    kdf.iterations < MIN_KDF_ITERATIONS ||
+    kdf.iterations > MAX_KDF_ITERATIONS ||
+    typeof kdf.salt !== "string"
+  ) {
+    throw new Error("unsupported room key envelope");
+  }
+  return { v: kdf.v || 1, ...kdf };
+}
+
+// true when the envelope was wrapped with weaker parameters than the current
+// profile and should be re-wrapped once the passphrase is known
+export function kdfNeedsUpgrade(envelope) {
+  const kdf = envelopeKdf(envelope);
+  const current = KDF_PROFILES[CURRENT_KDF_VERSION];
+  return (
+    kdf.v < CURRENT_KDF_VERSION ||
+    kdf.hash !== current.hash ||
+    kdf.iterations < current.iterations
+  );
+}
+
+// key-encryption key from passphrase + random salt (used only for wrap/unwrap)
+async function deriveWrappingKey(passphrase, kdf) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    textEncoder.encode(String(passphrase || "")),
+    { name: "PBKDF2" },
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
     {
       name: "PBKDF2",
-      salt,
-      iterations: 200000,
-      hash: "SHA-256",
+      salt: new Uint8Array(fromBase64(kdf.salt)),
+      iterations: kdf.iterations,
+      hash: kdf.hash,
     },
     baseKey,
     { name: "AES-GCM", length: 256 },
-    true, // <--- extractable true (so we can export for fingerprint/debug)
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+// wrap the content key under the passphrase with a fresh salt, using the given
+// KDF profile version (the current one by default).
+// Returns the envelope stored server-side:
+// { v, kdf: { v, name, hash, iterations, salt }, iv, wrappedKey } (binary as base64)
+export async function wrapRoomKey(
+  roomKey,
+  passphrase,
+  kdfVersion = CURRENT_KDF_VERSION
+) {
+  const profile = KDF_PROFILES[kdfVersion];
+  if (!profile) throw new Error("unknown kdf version " + kdfVersion);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const kdf = { v: kdfVersion, ...profile, salt: toBase64(salt) };
+  const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await crypto.subtle.wrapKey("raw", roomKey, wrappingKey, {
+    name: "AES-GCM",
+    iv,
+  });
+  return {
+    v: 1,
+    kdf,
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrapped),
+  };
+}
+
+// unwrap an envelope from wrapRoomKey. AES-GCM authenticates the wrap, so a
+// wrong passphrase throws instead of yielding a garbage key. The content key
+// is non-extractable unless the caller is about to re-wrap it.
+export async function unwrapRoomKey(
+  envelope,
+  passphrase,
+  { extractable = false } = {}
+) {
+  const wrappingKey = await deriveWrappingKey(
+    passphrase,
+    envelopeKdf(envelope)
+  );
+  return crypto.subtle.unwrapKey(
+    "raw",
+    fromBase64(envelope.wrappedKey),
+    wrappingKey,
+    { name: "AES-GCM", iv: new Uint8Array(fromBase64(envelope.iv)) },
+    { name: "AES-GCM", length: 256 },
+    extractable,
     ["encrypt", "decrypt"]
   );
+}
+
+// ----- device keys (passphrase-free rooms) -----
+// Each device has an ECDH key pair. In "ecdh" rooms the content key is wrapped
+// to every member under a key agreed between the sharer's private key and the
+// member's public key, so no passphrase is needed. Every member uses P-256:
+// X25519 is not in every browser yet and keys on different curves can't agree.
+
+const ECDH_PARAMS = { name: "ECDH", namedCurve: "P-256" };
+const DEVICE_KEY_NAME = "ecdh-device";
+
+// this device's ECDH key pair, created on first use. The private key is
+// non-extractable and kept in IndexedDB; only the public key is ever exported.
+export async function getDeviceKeyPair() {
+  const stored = await idbGet("keys", DEVICE_KEY_NAME);
+  if (stored) return stored;
+  const keyPair = await crypto.subtle.generateKey(ECDH_PARAMS, false, [
+    "deriveBits",
+  ]);
+  await idbPut("keys", DEVICE_KEY_NAME, keyPair);
+  return keyPair;
+}
+
+// public key as a minimal JWK (stable shape, so the server can compare keys)
+export async function exportPublicKey(publicKey) {
+  const jwk = await crypto.subtle.exportKey("jwk", publicKey);
+  return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+// ECDH shared secret -> HKDF (salted with the roomId, labelled with what the
+// key is for) -> AES-GCM key
+async function agreeKey(privateKey, peerPublicJwk, roomId, info, usages) {
+  const peer = await crypto.subtle.importKey(
+    "jwk",
+    peerPublicJwk,
+    ECDH_PARAMS,
+    false,
+    []
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "ECDH", public: peer },
+    privateKey,
+    256
+  );
+  const hkdfKey = await crypto.subtle.importKey("raw", bits, "HKDF", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: textEncoder.encode(String(roomId)),
+      info: textEncoder.encode(info),
+    },
+    hkdfKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    usages
+  );
+}
+
+const ROOM_KEY_WRAP_INFO = "chatdt room key wrap v1";
+const SEALED_BOX_INFO = "chatdt sealed box v1";
 
-  return key;
+// encrypt a small JSON value to one member's device key (used for sender-key
+// shares). Same envelope shape as a wrapped room key.
+export async function sealForMember(
+  value,
+  deviceKeyPair,
+  memberPublicJwk,
+  roomId
+) {
+  const sealKey = await agreeKey(
+    deviceKeyPair.privateKey,
+    memberPublicJwk,
+    roomId,
+    SEALED_BOX_INFO,
+    ["encrypt"]
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    sealKey,
+    textEncoder.encode(JSON.stringify(value))
+  );
+  return {
+    v: 1,
+    alg: "ECDH-P256+HKDF-SHA256+A256GCM",
+    senderPublicKey: await exportPublicKey(deviceKeyPair.publicKey),
+    iv: toBase64(iv),
+    wrappedKey: toBase64(sealed),
+  };
 }
 
-export async function encryptText(key, plainText) {
+export async function openFromMember(envelope, deviceKeyPair, roomId) {
+  if (!envelope || envelope.v !== 1 || !envelope.senderPublicKey) {
+    throw new Error("unsupported sealed envelope");
+  }
+  const sealKey = await agreeKey(
+    deviceKeyPair.privateKey,
+    envelope.senderPublicKey,
+    roomId,
+    SEALED_BOX_INFO,
+    ["decrypt"]
+  );
+  const plain = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: new Uint8Array(fromBase64(envelope.iv)) },
+    sealKey,
+    fromBase64(envelope.wrappedKey)
+  );
+  return JSON.parse(textDecoder.decode(plain));
+}
+
+// wrap the room content key to one member's public key. The envelope carries
+// the sharer's public key so the recipient can agree the same wrapping key.
+export async function wrapRoomKeyForMember(
+  roomKey,
+  deviceKeyPair,
+  memberPublicJwk,
+  roomId
+) {
+  const wrappingKey = await agreeKey(
+    deviceKeyPair.privateKey,
+    memberPublicJwk,
+    roomId,
+    ROOM_KEY_WRAP_INFO,
+    ["wrapKey"]
+  );
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await crypto.subtle.wrapKey("raw", roomKey, wrappingKey, {
+    name: "AES-GCM",
+    iv,
+  });
+  return {
+    v: 1,
+    alg: "ECDH-P256+HKDF-SHA256+A256GCM",
+    senderPublicKey: await exportPublicKey(deviceKeyPair.publicKey),
+    iv: toBase64(iv),
+    wrappedKey: toBase64(wrapped),
+  };
+}
+
+// the room key from a member envelope; non-extractable unless the caller is
+// about to re-wrap it
+export async function unwrapRoomKeyFromMember(
+  envelope,
+  deviceKeyPair,
+  roomId,
+  { extractable = false } = {}
+) {
+  if (!envelope || envelope.v !== 1 || !envelope.senderPublicKey) {
+    throw new Error("unsupported member key envelope");
+  }
+  const wrappingKey = await agreeKey(
+    deviceKeyPair.privateKey,
+    envelope.senderPublicKey,
+    roomId,
+    ROOM_KEY_WRAP_INFO,
+    ["unwrapKey"]
+  );
+  return crypto.subtle.unwrapKey(
+    "raw",
+    fromBase64(envelope.wrappedKey),
+    wrappingKey,
+    { name: "AES-GCM", iv: new Uint8Array(fromBase64(envelope.iv)) },
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// `aad` (optional, bytes) is authenticated but not encrypted: decryptText
+// must be given the same bytes or it throws
+export async function encryptText(key, plainText, aad) {
   const iv = crypto.getRandomValues(new Uint8Array(12)); // 12 bytes IV
   const pt = textEncoder.encode(plainText);
   const cipherBuffer = await crypto.subtle.encrypt(
-    { name: "AES-GCM", iv },
+    aad
+      ? { name: "AES-GCM", iv, additionalData: aad }
+      : { name: "AES-GCM", iv },
     key,
     pt
   );
@@ -86,16 +415,14 @@ export async function encryptText(key, plainText) {
   };
 }
 
-export async function decryptText(key, ivInput, ciphertextInput) {
+export async function decryptText(key, ivInput, ciphertextInput, aad) {
   // accepts iv/ciphertext as base64 OR Buffer-like object OR ArrayBuffer/Uint8Array
   try {
     const ivBuf = normalizeToArrayBuffer(ivInput);
     const cipherBuf = normalizeToArrayBuffer(ciphertextInput);
-    const plainBuf = await crypto.subtle.decrypt(
-      { name: "AES-GCM", iv: new Uint8Array(ivBuf) },
-      key,
-      cipherBuf
-    );
+    const params = { name: "AES-GCM", iv: new Uint8Array(ivBuf) };
+    if (aad) params.additionalData = aad;
+    const plainBuf = await crypto.subtle.decrypt(params, key, cipherBuf);
     return textDecoder.decode(new Uint8Array(plainBuf));
   } catch (err) {
     // rethrow with more context for easier debugging
@@ -103,6 +430,179 @@ export async function decryptText(key, ivInput, ciphertextInput) {
   }
 }
 
+// ----- key check value -----
+// A known token encrypted under the room key and stored with the room. Being
+// able to decrypt it proves a key is the room's key, so a mistyped passphrase
+// fails at unlock instead of producing unreadable messages.
+
+const KEY_CHECK_TOKEN = "chatdt key check v1";
+
+const keyCheckAad = (roomId) => textEncoder.encode(`key-check|${roomId}`);
+
+export async function createKeyCheck(key, roomId) {
+  const { iv, ciphertext } = await encryptText(
+    key,
+    KEY_CHECK_TOKEN,
+    keyCheckAad(roomId)
+  );
+  return { v: 1, iv, ciphertext };
+}
+
+// true if `key` opens the room's key check value
+export async function checkRoomKey(key, roomId, keyCheck) {
+  try {
+    const token = await decryptText(
+      key,
+      keyCheck.iv,
+      keyCheck.ciphertext,
+      keyCheckAad(roomId)
+    );
+    return token === KEY_CHECK_TOKEN;
+  } catch {
+    return false;
+  }
+}
+
+// ----- message envelope -----
+// Messages carry a header { v, alg, kdf } next to iv/ciphertext. The header and
+// the message's slot (room, id, sender, time, ratchet position) are bound as
+// AES-GCM additional data, so a ciphertext replayed into another message,
+// reassigned to another sender or moved to another room fails to decrypt.
+// Messages without a header predate this and decrypt without additional data.
+
+export const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALG = "A256GCM";
+// which key a message is under: the room content key or a sender-key ratchet
+export const KDF_ROOM_KEY = "room-key";
+export const KDF_SENDER_KEY = "sender-key-hmac-sha256";
+
+// the header and slot fields, canonically ordered; createdAt is normalized so
+// the ISO string the server hands back (Date, other precision) still matches.
+// A content type, when the header has one, and an edit's revision are
+// appended, so neither can be stripped or replayed (and envelopes without
+// them keep their original data).
+function messageSlot(enc, meta) {
+  const ratchet = meta.ratchet
+    ? [meta.ratchet.sessionId, meta.ratchet.index]
+    : null;
+  const slot = [
+    enc.v,
+    enc.alg,
+    enc.kdf,
+    String(meta.roomId),
+    String(meta.messageId),
+    String(meta.senderId),
+    new Date(meta.createdAt).toISOString(),
+    ratchet,
+  ];
+  if (enc.cty) slot.push(String(enc.cty));
+  if (meta.revision) slot.push(["revision", meta.revision]);
+  return slot;
+}
+
+function messageAad(enc, meta) {
+  return textEncoder.encode(JSON.stringify(messageSlot(enc, meta)));
+}
+
+// encrypt a message for its slot; meta is { roomId, messageId, senderId,
+// createdAt, ratchet?, revision? }, cty the plaintext's content type (none: bare text).
+// Returns { enc, iv, ciphertext }.
+export async function sealMessage(
+  key,
+  plainText,
+  meta,
+  kdf = KDF_ROOM_KEY,
+  cty = null
+) {
+  const enc = { v: ENVELOPE_VERSION, alg: ENVELOPE_ALG, kdf };
+  if (cty) enc.cty = cty;
+  const { iv, ciphertext } = await encryptText(
+    key,
+    plainText,
+    messageAad(enc, meta)
+  );
+  return { enc, iv, ciphertext };
+}
+
+// decrypt a stored message (header + slot fields + iv/ciphertext). Throws if
+// the header is unknown or the ciphertext doesn't belong to this slot.
+export async function openMessage(key, msg) {
+  const enc = msg.enc;
+  if (!enc) {
+    // legacy: unversioned, no additional data
+    return decryptText(key, msg.iv, msg.ciphertext);
+  }
+  if (enc.v !== ENVELOPE_VERSION || enc.alg !== ENVELOPE_ALG) {
+    throw new Error(`unsupported message envelope v${enc.v} ${enc.alg}`);
+  }
+  const expectedKdf = msg.ratchet ? KDF_SENDER_KEY : KDF_ROOM_KEY;
+  if (enc.kdf !== expectedKdf) {
+    throw new Error("message envelope names the wrong key");
+  }
+  return decryptText(key, msg.iv, msg.ciphertext, messageAad(enc, msg));
+}
+
+// ----- signing keys -----
+// Each device also has an ECDSA key pair. It signs every message envelope
+// (header, slot and ciphertext), so a member can't post under someone else's
+// senderId: the signature won't verify under that member's published key.
+
+const ECDSA_PARAMS = { name: "ECDSA", namedCurve: "P-256" };
+const SIGN_PARAMS = { name: "ECDSA", hash: "SHA-256" };
+const SIGNING_KEY_NAME = "ecdsa-device";
+
+// this device's signing key pair, created on first use; the private key is
+// non-extractable and never leaves IndexedDB
+export async function getSigningKeyPair() {
+  const stored = await idbGet("keys", SIGNING_KEY_NAME);
+  if (stored) return stored;
+  const keyPair = await crypto.subtle.generateKey(ECDSA_PARAMS, false, [
+    "sign",
+    "verify",
+  ]);
+  await idbPut("keys", SIGNING_KEY_NAME, keyPair);
+  return keyPair;
+}
+
+function signedBytes(msg) {
+  return textEncoder.encode(
+    JSON.stringify([...messageSlot(msg.enc, msg), msg.iv, msg.ciphertext])
+  );
+}
+
+// sign a sealed message ({ enc, iv, ciphertext } plus its slot fields)
+export async function signMessage(privateKey, msg) {
+  const sig = await crypto.subtle.sign(
+    SIGN_PARAMS,
+    privateKey,
+    signedBytes(msg)
+  );
+  return toBase64(sig);
+}
+
+// true only for a versioned message whose signature checks out under publicJwk
+export async function verifyMessage(publicJwk, msg) {
+  if (!publicJwk || !msg.sig || !msg.enc) return false;
+  try {
+    const publicKey = await crypto.subtle.importKey(
+      "jwk",
+      publicJwk,
+      ECDSA_PARAMS,
+      false,
+      ["verify"]
+    );
+    return await crypto.subtle.verify(
+      SIGN_PARAMS,
+      publicKey,
+      fromBase64(msg.sig),
+      signedBytes(msg)
+    );
+  } catch (err) {
+    console.warn("verify signature failed:", err && err.message);
+    return false;
+  }
+}
+
 // Helper: export raw key bytes (for fingerprinting)
 // May fail if key isn't extractable; callers should catch.
 export async function exportKeyBase64(key) {
@@ -110,12 +610,187 @@ export async function exportKeyBase64(key) {
   return toBase64(raw);
 }
 
-// compute a deterministic fingerprint from passphrase + roomId (no key export)
-export async function computeFingerprint(passphrase, roomId) {
-  // Combine passphrase and roomId with a separator to avoid accidental collisions
-  const data = textEncoder.encode(String(passphrase || "") + "|" + String(roomId || ""));
-  const digest = await crypto.subtle.digest("SHA-256", data);
-  // digest is an ArrayBuffer — toBase64 handles ArrayBuffer
-  // Return a short, display-friendly substring (first 12 chars)
-  return toBase64(digest).slice(0, 12);
-}
\ No newline at end of file
+// ----- safety numbers -----
+// Numbers two people can read aloud (or compare by QR) to check they hold the
+// same keys. They're derived from key material only: never from a passphrase,
+// so seeing one doesn't help anyone guess it.
+
+// one version for both kinds of number: hashed into member fingerprints and
+// named in the room number's info string
+const SAFETY_NUMBER_VERSION = 1;
+const FINGERPRINT_ITERATIONS = 5200;
+const ROOM_SAFETY_INFO = `chatdt room safety number v${SAFETY_NUMBER_VERSION}`;
+
+// 30 digits from 30 bytes: six 5-byte chunks, each mod 100000
+function digitsFrom(bytes) {
+  let out = "";
+  for (let i = 0; i < 30; i += 5) {
+    let chunk = 0;
+    for (let j = 0; j < 5; j++) chunk = chunk * 256 + bytes[i + j];
+    out += String(chunk % 100000).padStart(5, "0");
+  }
+  return out;
+}
+
+// Signal-style fingerprint of one member's signing key: iterated SHA-512 over
+// version | public key | userId, so it's slow to grind a lookalike
+export async function memberFingerprint(signingJwk, userId) {
+  const publicKey = await crypto.subtle.importKey(
+    "jwk",
+    signingJwk,
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["verify"]
+  );
+  const keyBytes = new Uint8Array(
+    await crypto.subtle.exportKey("raw", publicKey)
+  );
+  const idBytes = textEncoder.encode(String(userId));
+
+  let hash = new Uint8Array([
+    SAFETY_NUMBER_VERSION,
+    0,
+    ...keyBytes,
+    ...idBytes,
+  ]);
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    const input = new Uint8Array(hash.length + keyBytes.length);
+    input.set(hash);
+    input.set(keyBytes, hash.length);
+    hash = new Uint8Array(await crypto.subtle.digest("SHA-512", input));
+  }
+  return digitsFrom(hash);
+}
+
+// the 60-digit number two members compare: both fingerprints, lower first,
+// so it reads the same on either device
+export function pairSafetyNumber(fingerprintA, fingerprintB) {
+  return [fingerprintA, fingerprintB].sort().join("");
+}
+
+// a value only holders of the AES key can compute for `info`: a fixed block
+// encrypted under the key (so it works on non-extractable keys) with an IV
+// taken from `info`, hashed together with `info`. 32 bytes.
+async function keyedDigest(key, infoString) {
+  const info = textEncoder.encode(infoString);
+  const iv = new Uint8Array(await crypto.subtle.digest("SHA-256", info)).slice(
+    0,
+    12
+  );
+  const block = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new Uint8Array(32)
+  );
+  const out = new Uint8Array(info.length + block.byteLength);
+  out.set(info);
+  out.set(new Uint8Array(block), info.length);
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", out));
+}
+
+// 30 digits every member holding this room key sees alike
+export async function roomSafetyNumber(key, roomId) {
+  // SHA-256 gives 32 bytes; digitsFrom uses the first 30
+  return digitsFrom(await keyedDigest(key, `${ROOM_SAFETY_INFO}|${roomId}`));
+}
+
+// "12345 67890 …" for display
+export function formatSafetyNumber(digits) {
+  return (digits.match(/.{1,5}/g) || []).join(" ");
+}
+
+// ----- opaque tags -----
+// Stable identifiers the server can match on without learning what they
+// stand for (which thread a reply is in, which message a reaction is on).
+
+const ROOM_TAG_INFO = "chatdt room tag v1";
+
+// 64 hex characters, the same for every holder of the room key
+export async function roomTag(key, roomId, info) {
+  const bytes = await keyedDigest(key, `${ROOM_TAG_INFO}|${roomId}|${info}`);
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ----- local cache key -----
+
+const LOCAL_CACHE_INFO = "chatdt local cache v1";
+
+// key for what this device keeps of a room at rest; only holders of the room
+// key can derive it, so the copy stays sealed until the room is unlocked
+export async function localCacheKey(key, roomId) {
+  const raw = await keyedDigest(key, `${LOCAL_CACHE_INFO}|${roomId}`);
+  return crypto.subtle.importKey("raw", raw, { name: "AES-GCM" }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+// ----- invite links -----
+// An invite link carries a random secret in its #fragment, which browsers
+// never send to the server. The room key is wrapped under that secret and
+// bound to the room; the server keeps only the wrapped copy.
+
+const INVITE_WRAP_INFO = "chatdt invite v1";
+
+const inviteAad = (roomId) =>
+  textEncoder.encode(`${INVITE_WRAP_INFO}|${roomId}`);
+
+function importInviteSecret(secret, usages) {
+  return crypto.subtle.importKey(
+    "raw",
+    fromBase64(secret),
+    { name: "AES-GCM" },
+    false,
+    usages
+  );
+}
+
+// a fresh link secret and the room key wrapped under it:
+// { secret, envelope: { v, alg, iv, wrappedKey } } (binary as base64)
+export async function wrapRoomKeyForInvite(roomKey, roomId) {
+  const secret = toBase64(crypto.getRandomValues(new Uint8Array(32)));
+  const wrappingKey = await importInviteSecret(secret, ["wrapKey"]);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const wrapped = await crypto.subtle.wrapKey("raw", roomKey, wrappingKey, {
+    name: "AES-GCM",
+    iv,
+    additionalData: inviteAad(roomId),
+  });
+  return {
+    secret,
+    envelope: {
+      v: 1,
+      alg: "A256GCM",
+      iv: toBase64(iv),
+      wrappedKey: toBase64(wrapped),
+    },
+  };
+}
+
+// the room key from an invite's envelope and its link's secret; throws for a
+// wrong secret or an envelope made for another room. Non-extractable unless
+// the caller is about to re-wrap it, like any other room key.
+export async function unwrapRoomKeyFromInvite(
+  envelope,
+  secret,
+  roomId,
+  { extractable = false } = {}
+) {
+  if (!envelope || envelope.v !== 1 || envelope.alg !== "A256GCM") {
+    throw new Error("unsupported invite key envelope");
+  }
+  const wrappingKey = await importInviteSecret(secret, ["unwrapKey"]);
+  return crypto.subtle.unwrapKey(
+    "raw",
+    fromBase64(envelope.wrappedKey),
+    wrappingKey,
+    {
+      name: "AES-GCM",
+      iv: new Uint8Array(fromBase64(envelope.iv)),
+      additionalData: inviteAad(roomId),
+    },
+    { name: "AES-GCM", length: 256 },
+    extractable,
+    ["encrypt", "decrypt"]
+  );
+}
@@ -0,0 +1,236 @@
+// web/src/utils/history.js
+// a room's messages as the page holds them: history pages and threads from
+// the server in the local shape, merged with what's already shown, and
+// decrypted where the room key (or the sender's ratchet session) opens them
+import { openMessage } from "./crypto";
+import { ratchetDecrypt } from "./ratchet";
+import { authHeaders } from "./session";
+
+const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
+const HISTORY_PAGE_SIZE = 50;
+// a thread view loads up to the server's largest page of replies
+const THREAD_PAGE_SIZE = 200;
+
+// helper: convert ArrayBuffer/Uint8Array to base64
+function arrayBufferToBase64(buf) {
+  const bytes = buf instanceof Uint8Array ? buf : new Uint8Array(buf);
+  let binary = "";
+  for (let i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+// normalize various payload shapes (string base64, ArrayBuffer, { data: [...] }, Buffer-like) -> base64 string
+export function normalizeToBase64(val) {
+  if (!val && val !== "") return val;
+  if (typeof val === "string") return val;
+
+  // TypedArray / ArrayBuffer
+  if (val instanceof ArrayBuffer)
+    return arrayBufferToBase64(new Uint8Array(val));
+  if (ArrayBuffer.isView(val)) return arrayBufferToBase64(val);
+
+  // Node-style buffer objects: { type: 'Buffer', data: [...] } or { data: [...] }
+  if (val && typeof val === "object") {
+    if (Array.isArray(val.data)) {
+      return arrayBufferToBase64(new Uint8Array(val.data));
+    }
+    // some Socket->browser transfers can come as plain object with numeric keys -> try to collect numeric values
+    const numericVals = [];
+    for (const k of Object.keys(val)) {
+      const v = val[k];
+      if (typeof v === "number") numericVals.push(v);
+    }
+    if (numericVals.length > 0) {
+      return arrayBufferToBase64(new Uint8Array(numericVals));
+    }
+  }
+
+  // fallback: return as-is (will likely fail decrypt, but avoid crashing)
+  return val;
+}
+
+// safeDecrypt helper: opens a message's envelope, returns plaintext or null
+export async function safeDecrypt(k, m) {
+  try {
+    if (!m.iv || !m.ciphertext) throw new Error("missing iv or ciphertext");
+    // normalize to base64 strings if caller passed non-strings
+    const ivB64 = normalizeToBase64(m.iv);
+    const ctB64 = normalizeToBase64(m.ciphertext);
+
+    if (typeof ivB64 !== "string" || typeof ctB64 !== "string") {
+      console.warn("safeDecrypt: iv/ct not strings after normalization", {
+        ivB64,
+        ctB64,
+      });
+      throw new Error("iv/ciphertext normalization failed");
+    }
+
+    const pt = await openMessage(k, { ...m, iv: ivB64, ciphertext: ctB64 });
+    return pt;
+  } catch (err) {
+    console.warn("safeDecrypt failed:", err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+// normalize a message from a history page (REST) into local message state shape
+export function normalizeHistoryMessage(m) {
+  return {
+    messageId: m.messageId || m.message_id,
+    seq: m.seq ?? null,
+    roomId: m.roomId || m.room_id,
+    senderId: m.senderId || m.sender_id,
+    username: m.username || m.name || "Anon",
+    ciphertext: normalizeToBase64(m.ciphertext),
+    iv: normalizeToBase64(m.iv),
+    status: m.status || "sent",
+    createdAt: m.createdAt || m.created_at,
+    ratchet: m.ratchet || null,
+    enc: m.enc || null,
+    sig: m.sig || null,
+    revision: m.revision || 0,
+    editedAt: m.editedAt || null,
+    deletedAt: m.deletedAt || null,
+    thread: m.thread || null,
+    expiresAt: m.expiresAt || null,
+    receipts: m.receipts || null,
+    plaintext: m.plaintext || undefined,
+  };
+}
+
+// history cursor understood by the server: the seq it stored the message
+// under (createdAt is the sender's clock, no good for ordering)
+export function messageCursor(m) {
+  return String(m.seq);
+}
+
+// fetch one page of room history; `before` is a message to page back from
+export async function fetchHistoryPage(roomId, before) {
+  const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+  if (before) params.set("before", messageCursor(before));
+  const r = await fetch(`${API}/rooms/${roomId}/messages?${params}`, {
+    headers: authHeaders(),
+  });
+  if (!r.ok) throw new Error(`history fetch failed: HTTP ${r.status}`);
+  const data = await r.json();
+  return {
+    messages: (Array.isArray(data.messages) ? data.messages : []).map(
+      normalizeHistoryMessage
+    ),
+    hasMore: !!data.hasMore,
+  };
+}
+
+// every reply the server holds under a thread tag (newest THREAD_PAGE_SIZE)
+export async function fetchThread(roomId, tag) {
+  const params = new URLSearchParams({
+    limit: String(THREAD_PAGE_SIZE),
+    thread: tag,
+  });
+  const r = await fetch(`${API}/rooms/${roomId}/messages?${params}`, {
+    headers: authHeaders(),
+  });
+  if (!r.ok) throw new Error(`thread fetch failed: HTTP ${r.status}`);
+  const data = await r.json();
+  return (Array.isArray(data.messages) ? data.messages : []).map(
+    normalizeHistoryMessage
+  );
+}
+
+// merge one server message into local state: dedupe by messageId, then by
+// sender+ciphertext+iv (matches our optimistic echo), otherwise append
+export function mergeMessage(prev, normalized) {
+  const byId = prev.find((m) => m.messageId === normalized.messageId);
+  if (byId) {
+    // a copy from before an edit or deletion we already have: keep ours
+    if (byId.deletedAt || (normalized.revision || 0) < (byId.revision || 0)) {
+      return prev;
+    }
+    return applyMessageChange(prev, {
+      ...byId,
+      ...normalized,
+      plaintext: normalized.plaintext ?? byId.plaintext,
+    });
+  }
+
+  if (normalized.senderId && normalized.ciphertext && normalized.iv) {
+    const matchIdx = prev.findIndex(
+      (m) =>
+        m.senderId === normalized.senderId &&
+        m.ciphertext === normalized.ciphertext &&
+        m.iv === normalized.iv
+    );
+    if (matchIdx !== -1) {
+      const copy = prev.slice();
+      copy[matchIdx] = {
+        ...copy[matchIdx],
+        ...normalized,
+        plaintext: normalized.plaintext ?? copy[matchIdx].plaintext,
+        messageId: normalized.messageId,
+      };
+      return copy;
+    }
+  }
+
+  return [...prev, normalized];
+}
+
+// put a message's new state (an edit or a tombstone) in place of the old one,
+// unless we already hold a later revision. Plaintext of an older revision is
+// never carried over, and nothing replaces a tombstone.
+export function applyMessageChange(prev, changed) {
+  return prev.map((m) => {
+    if (m.messageId !== changed.messageId || m.deletedAt) return m;
+    if (!changed.deletedAt && (changed.revision || 0) < (m.revision || 0)) {
+      return m;
+    }
+    const sameRevision = (changed.revision || 0) === (m.revision || 0);
+    return {
+      ...m,
+      ...changed,
+      plaintext: changed.deletedAt
+        ? undefined
+        : changed.plaintext ?? (sameRevision ? m.plaintext : undefined),
+    };
+  });
+}
+
+// newest message the server has confirmed (what a reconnect catches up
+// from): the highest seq; messages not stored yet have none
+export function newestConfirmed(list) {
+  let newest = null;
+  for (const m of list) {
+    if (!m.seq) continue;
+    if (!newest || m.seq > newest.seq) newest = m;
+  }
+  return newest;
+}
+
+// decrypt one message: ratcheted messages need their sender's session,
+// older ones use the room key. null when it can't be read (yet).
+export async function decryptMessage(k, roomId, m) {
+  if (!m.ratchet) return safeDecrypt(k, m);
+  try {
+    return await ratchetDecrypt(roomId, m);
+  } catch (err) {
+    console.warn("ratchet decrypt failed:", err && err.message);
+    return null;
+  }
+}
+
+// decrypt a page of messages with the key (if unlocked); failures stay encrypted
+export async function decryptPage(k, roomId, page) {
+  if (!k) return page;
+  const out = [];
+  for (const m of page) {
+    if (m.plaintext || !m.ciphertext || !m.iv) {
+      out.push(m);
+      continue;
+    }
+    const pt = await decryptMessage(k, roomId, m);
+    out.push(pt !== null ? { ...m, plaintext: pt } : m);
+  }
+  return out;
+}
@@ -0,0 +1,64 @@
+// web/src/utils/idb.js
+// tiny promise wrapper around one IndexedDB database for local client state.
+// Values go through structured clone, so CryptoKey objects (including
+// non-extractable ones) can be stored directly.
+const DB_NAME = "chatdt";
+const DB_VERSION = 5;
+// keys: device key pairs; sessions: sender-key ratchet state;
+// trust: pinned signing keys of other members; outbox: sealed messages not
+// yet accepted by the server; history: encrypted copies of room history;
+// rooms: the last room key record seen for each room
+const STORES = ["keys", "sessions", "trust", "outbox", "history", "rooms"];
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of STORES) {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name);
+          }
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// run one request in its own transaction and resolve with its result
+async function run(store, mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = makeRequest(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function idbGet(store, key) {
+  return run(store, "readonly", (s) => s.get(key));
+}
+
+export function idbPut(store, key, value) {
+  return run(store, "readwrite", (s) => s.put(value, key));
+}
+
+export function idbDelete(store, key) {
+  return run(store, "readwrite", (s) => s.delete(key));
+}
+
+// every value in a store, in key order
+export function idbGetAll(store) {
+  return run(store, "readonly", (s) => s.getAll());
+}
+
+export function idbClear(store) {
+  return run(store, "readwrite", (s) => s.clear());
+}
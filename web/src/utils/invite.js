@@ -0,0 +1,26 @@
+// web/src/utils/invite.js
+// invite links: /chat/<roomId>#invite=<token>&key=<secret>. Both halves ride
+// in the fragment, so neither goes out with the page request (nor into server
+// logs or a Referer); Chat hands the token to the server itself and keeps the
+// secret to unwrap the room key the invite holds.
+
+// the link for an invite (secret may be null: the link then only admits)
+export function inviteLink(roomId, token, secret) {
+  const params = new URLSearchParams({ invite: token });
+  if (secret) params.set("key", secret);
+  return `${window.location.origin}/chat/${roomId}#${params}`;
+}
+
+// { token, secret } from a location hash, or null when it isn't an invite
+export function readInviteFragment(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const token = params.get("invite");
+  if (!token) return null;
+  return { token, secret: params.get("key") || null };
+}
+
+// take the invite out of the address bar (and history) once it's been read
+export function clearInviteFragment() {
+  const { pathname, search } = window.location;
+  window.history.replaceState(window.history.state, "", pathname + search);
+}
@@ -0,0 +1,20 @@
+// web/src/utils/messageTimer.js
+// a room's disappearing-message timer: the presets it can be set to, and how
+// a change to it reads in the conversation
+
+// the timers a room can pick (seconds; null is off)
+export const MESSAGE_TIMERS = [
+  { ttl: null, label: "Off" },
+  { ttl: 5 * 60, label: "5 minutes" },
+  { ttl: 60 * 60, label: "1 hour" },
+  { ttl: 24 * 60 * 60, label: "1 day" },
+  { ttl: 7 * 24 * 60 * 60, label: "1 week" },
+];
+
+// "a set disappearing messages to 1 hour", "a turned off disappearing messages"
+export function timerNotice(timer, name) {
+  if (!timer.ttl) return `${name} turned off disappearing messages`;
+  const preset = MESSAGE_TIMERS.find((t) => t.ttl === timer.ttl);
+  const label = preset ? preset.label : `${timer.ttl} seconds`;
+  return `${name} set disappearing messages to ${label}`;
+}
@@ -0,0 +1,57 @@
+// web/src/utils/moderation.js
+// the room owner's moderation, sent on the room's socket (the server checks
+// we own the room). None of it is queued: offline, it's refused here.
+import { roomSocket, isOffline } from "./roomSocket";
+
+export function kickMember(roomId, member) {
+  if (isOffline()) return alert("Members can't be removed while offline.");
+  const ok = window.confirm(
+    `Remove ${
+      member.username || "Anon"
+    } from the room? They can join again unless the room is locked or needs an access code.`
+  );
+  if (ok) roomSocket().emit("kick-member", { roomId, userId: member.userId });
+}
+
+export function banMember(roomId, member) {
+  if (isOffline()) return alert("Members can't be banned while offline.");
+  const ok = window.confirm(
+    `Ban ${
+      member.username || "Anon"
+    }? They can't come back until you lift the ban.`
+  );
+  if (ok) roomSocket().emit("ban-member", { roomId, userId: member.userId });
+}
+
+export function unbanMember(roomId, ban) {
+  if (isOffline()) return alert("Bans can't be lifted while offline.");
+  roomSocket().emit("unban-member", { roomId, userId: ban.userId });
+}
+
+// a locked room takes no new members; those already in stay
+export function toggleLock(roomId, roomAccess) {
+  if (isOffline()) return alert("The room can't be locked while offline.");
+  roomSocket().emit("lock-room", { roomId, locked: !roomAccess.locked });
+}
+
+// what newcomers need to join; members already in aren't asked for it
+export function changeAccessCode(roomId, roomAccess) {
+  if (isOffline()) {
+    return alert("The access code can't be changed while offline.");
+  }
+  const code = window.prompt(
+    roomAccess.hasAccessToken
+      ? "New access code for newcomers (leave empty to need none):"
+      : "Access code newcomers will need (at least 4 characters):",
+    ""
+  );
+  if (code === null) return;
+  const trimmed = code.trim();
+  if (trimmed && trimmed.length < 4) {
+    return alert("Access codes are at least 4 characters.");
+  }
+  roomSocket().emit("set-access-token", {
+    roomId,
+    accessToken: trimmed || null,
+  });
+}
@@ -0,0 +1,50 @@
+// web/src/utils/outbox.js
+// messages waiting for the server, kept in IndexedDB so they survive going
+// offline and reloading. An entry is the sealed send-message payload (no
+// plaintext) plus when it was queued, which decides the order they're sent
+// in, and whether the server refused it. The messageId is the server's
+// idempotency key, so sending an entry again never duplicates it.
+import { idbClear, idbDelete, idbGet, idbGetAll, idbPut } from "./idb";
+
+const STORE = "outbox";
+
+// queue a sealed message; returns the entry
+export async function queueOutgoing(payload) {
+  const entry = {
+    messageId: payload.messageId,
+    roomId: payload.roomId,
+    payload,
+    queuedAt: Date.now(),
+    failed: null,
+  };
+  await idbPut(STORE, entry.messageId, entry);
+  return entry;
+}
+
+// a room's queued messages, oldest first
+export async function outboxFor(roomId) {
+  const all = await idbGetAll(STORE);
+  return all
+    .filter((e) => e.roomId === roomId)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+// record that the server refused it (`failed` is its error), or clear that
+// with null to send it again; resolves the entry, null if it's gone
+export async function markOutgoing(messageId, failed) {
+  const entry = await idbGet(STORE, messageId);
+  if (!entry) return null;
+  const next = { ...entry, failed };
+  await idbPut(STORE, messageId, next);
+  return next;
+}
+
+// accepted by the server, or discarded
+export function removeOutgoing(messageId) {
+  return idbDelete(STORE, messageId);
+}
+
+// forget every room's unsent messages
+export function clearOutbox() {
+  return idbClear(STORE);
+}
@@ -0,0 +1,108 @@
+// web/src/utils/passphrase.js
+// rough passphrase strength for the meter shown when a passphrase is picked.
+// An entropy estimate from length and character classes, discounted for
+// common passwords, repeated characters and keyboard/alphabet runs. It's a
+// nudge, not a guarantee: the KDF slows guessing, it can't fix "password1".
+
+const COMMON = [
+  "password",
+  "passw0rd",
+  "qwerty",
+  "azerty",
+  "letmein",
+  "welcome",
+  "admin",
+  "iloveyou",
+  "monkey",
+  "dragon",
+  "football",
+  "baseball",
+  "sunshine",
+  "princess",
+  "master",
+  "secret",
+  "trustno1",
+  "whatever",
+  "chatdt",
+];
+const RUNS = [
+  "abcdefghijklmnopqrstuvwxyz",
+  "0123456789",
+  "qwertyuiopasdfghjklzxcvbnm",
+];
+
+export const MIN_PASSPHRASE_LENGTH = 12;
+// below this score, picking the passphrase asks for confirmation
+export const WEAK_SCORE = 2;
+export const STRENGTH_LABELS = [
+  "Very weak",
+  "Weak",
+  "Fair",
+  "Strong",
+  "Very strong",
+];
+
+function poolSize(pass) {
+  let pool = 0;
+  if (/[a-z]/.test(pass)) pool += 26;
+  if (/[A-Z]/.test(pass)) pool += 26;
+  if (/[0-9]/.test(pass)) pool += 10;
+  if (/[^a-zA-Z0-9]/.test(pass)) pool += 33;
+  return pool;
+}
+
+// characters that add little: repeats of the previous character and steps
+// along an alphabet, digit or keyboard run (either direction)
+function predictableChars(lower) {
+  let count = 0;
+  for (let i = 1; i < lower.length; i++) {
+    const prev = lower[i - 1];
+    const cur = lower[i];
+    if (cur === prev) {
+      count++;
+      continue;
+    }
+    const pair = prev + cur;
+    const reversed = cur + prev;
+    if (RUNS.some((run) => run.includes(pair) || run.includes(reversed))) {
+      count++;
+    }
+  }
+  return count;
+}
+
+// { score 0-4, label, bits, warning } for a candidate passphrase
+export function passphraseStrength(pass) {
+  const value = String(pass || "");
+  if (!value) {
+    return { score: 0, label: STRENGTH_LABELS[0], bits: 0, warning: null };
+  }
+  const lower = value.toLowerCase();
+  const perChar = Math.log2(Math.max(poolSize(value), 2));
+
+  let effective = value.length - predictableChars(lower) * 0.75;
+  const common = COMMON.find((word) => lower.includes(word));
+  // a common password costs an attacker about one guess from a list
+  if (common) effective -= common.length - 1;
+  const bits = Math.max(0, Math.round(effective * perChar));
+
+  let score = bits < 28 ? 0 : bits < 40 ? 1 : bits < 60 ? 2 : bits < 80 ? 3 : 4;
+  // short ones fall to offline guessing however mixed they look
+  if (value.length < MIN_PASSPHRASE_LENGTH) score = Math.min(score, 2);
+
+  let warning = null;
+  if (common) {
+    warning = `Contains "${common}", one of the first things guessed.`;
+  } else if (value.length < MIN_PASSPHRASE_LENGTH) {
+    warning = `Use at least ${MIN_PASSPHRASE_LENGTH} characters — a few random words work well.`;
+  } else if (predictableChars(lower) > value.length / 3) {
+    warning = "Avoid repeated characters and runs like abc or 123.";
+  } else if (score < WEAK_SCORE) {
+    warning = "Add another word or two.";
+  }
+  return { score, label: STRENGTH_LABELS[score], bits, warning };
+}
+
+export function isWeakPassphrase(pass) {
+  return passphraseStrength(pass).score < WEAK_SCORE;
+}
@@ -0,0 +1,186 @@
+// web/src/utils/ratchet.js
+// Megolm-style sender-key ratchet, layered over sealMessage/openMessage.
+//
+// Every member encrypts its messages in a room with its own outbound session:
+// a random chain key that is advanced for every message
+//   messageKey_i = HMAC(chainKey_i, 0x01)
+//   chainKey_i+1 = HMAC(chainKey_i, 0x02)
+// after which chainKey_i is dropped, so a compromised sender can't decrypt
+// what it sent earlier. Sessions reach other members sealed to their device
+// keys *and* the room key (see sealSession), never under the passphrase alone,
+// so a leaked passphrase no longer exposes ratcheted history. Sessions rotate
+// after SESSION_MAX_MESSAGES / SESSION_MAX_AGE_MS or when a member leaves.
+//
+// Receivers keep each inbound session at the earliest index they were given,
+// so history stays readable on their device; a member who joins later only
+// gets the session from its current index on.
+import {
+  encryptText,
+  decryptText,
+  sealMessage,
+  openMessage,
+  KDF_SENDER_KEY,
+  sealForMember,
+  openFromMember,
+  toBase64,
+  fromBase64,
+} from "./crypto";
+import { idbGet, idbPut, idbDelete } from "./idb";
+
+const SESSION_MAX_MESSAGES = 100;
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// how far ahead of its shared index a message may claim to be
+const MAX_SKIP = SESSION_MAX_MESSAGES * 10;
+
+async function hmac(keyBytes, byte) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = await crypto.subtle.sign("HMAC", key, new Uint8Array([byte]));
+  return new Uint8Array(mac);
+}
+
+async function messageKeyFrom(chainKey) {
+  const raw = await hmac(chainKey, 0x01);
+  return crypto.subtle.importKey("raw", raw, { name: "AES-GCM" }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+
+export function newOutboundSession() {
+  return {
+    sessionId: crypto.randomUUID(),
+    index: 0,
+    chainKey: crypto.getRandomValues(new Uint8Array(32)),
+    createdAt: Date.now(),
+    // userId -> public key x-coordinate of the device it was shared to
+    sharedWith: {},
+  };
+}
+
+export function needsRotation(session) {
+  return (
+    session.index >= SESSION_MAX_MESSAGES ||
+    Date.now() - session.createdAt > SESSION_MAX_AGE_MS
+  );
+}
+
+// what a recipient needs to decrypt from the session's current index on
+export function sessionShare(session) {
+  return {
+    sessionId: session.sessionId,
+    index: session.index,
+    chainKey: toBase64(session.chainKey),
+  };
+}
+
+// ----- storage (IndexedDB "sessions") -----
+
+const outboundId = (roomId) => `out:${roomId}`;
+const inboundId = (roomId, senderId, sessionId) =>
+  `in:${roomId}:${senderId}:${sessionId}`;
+
+export function loadOutbound(roomId) {
+  return idbGet("sessions", outboundId(roomId));
+}
+
+export function saveOutbound(roomId, session) {
+  return idbPut("sessions", outboundId(roomId), session);
+}
+
+export function discardOutbound(roomId) {
+  return idbDelete("sessions", outboundId(roomId));
+}
+
+function loadInbound(roomId, senderId, sessionId) {
+  return idbGet("sessions", inboundId(roomId, senderId, sessionId));
+}
+
+// store a received share, keeping whichever copy reaches further back
+export async function saveInbound(roomId, senderId, share) {
+  const existing = await loadInbound(roomId, senderId, share.sessionId);
+  if (existing && existing.index <= share.index) return;
+  await idbPut("sessions", inboundId(roomId, senderId, share.sessionId), {
+    index: share.index,
+    chainKey: new Uint8Array(fromBase64(share.chainKey)),
+  });
+}
+
+// ----- sharing -----
+
+// seal a session share to one member: inner layer to their device key, outer
+// layer under the room key, so opening it needs both the member's device and
+// room access
+export async function sealSession(
+  session,
+  roomKey,
+  deviceKeyPair,
+  memberPublicJwk,
+  roomId
+) {
+  const inner = await sealForMember(
+    sessionShare(session),
+    deviceKeyPair,
+    memberPublicJwk,
+    roomId
+  );
+  const { iv, ciphertext } = await encryptText(roomKey, JSON.stringify(inner));
+  return { v: 1, iv, wrappedKey: ciphertext };
+}
+
+export async function openSession(envelope, roomKey, deviceKeyPair, roomId) {
+  const inner = JSON.parse(
+    await decryptText(roomKey, envelope.iv, envelope.wrappedKey)
+  );
+  return openFromMember(inner, deviceKeyPair, roomId);
+}
+
+// ----- encrypt / decrypt -----
+
+// encrypt with the session's current message key for the slot in `meta` (see
+// sealMessage); returns the envelope, the { sessionId, index } it was sealed
+// at, and the advanced session to store
+export async function ratchetEncrypt(session, plainText, meta, cty = null) {
+  const messageKey = await messageKeyFrom(session.chainKey);
+  const ratchet = { sessionId: session.sessionId, index: session.index };
+  const sealed = await sealMessage(
+    messageKey,
+    plainText,
+    { ...meta, ratchet },
+    KDF_SENDER_KEY,
+    cty
+  );
+  return {
+    ...sealed,
+    ratchet,
+    session: {
+      ...session,
+      index: session.index + 1,
+      chainKey: await hmac(session.chainKey, 0x02),
+    },
+  };
+}
+
+// decrypt a ratcheted message; null when its session hasn't reached us (yet)
+export async function ratchetDecrypt(roomId, msg) {
+  const { sessionId, index } = msg.ratchet;
+  const inbound = await loadInbound(roomId, msg.senderId, sessionId);
+  if (!inbound) return null;
+  if (index < inbound.index) {
+    throw new Error("message predates the session share we were given");
+  }
+  if (index - inbound.index > MAX_SKIP) {
+    throw new Error("ratchet index too far ahead");
+  }
+
+  let chainKey = inbound.chainKey;
+  for (let i = inbound.index; i < index; i++) {
+    chainKey = await hmac(chainKey, 0x02);
+  }
+  return openMessage(await messageKeyFrom(chainKey), msg);
+}
@@ -0,0 +1,33 @@
+// web/src/utils/receipts.js
+// delivery and read receipts: acknowledging others' messages on the room's
+// socket, and the counts the server sends back for our own
+import { currentSession } from "./session";
+import { roomSocket } from "./roomSocket";
+
+// ACK delivery (and read, once decrypted, when `read`) of messages from
+// others. Emits before the socket connects wait for it; before it exists
+// there's nothing to send on, and the join's recent-messages page covers it.
+export function acknowledge(roomId, msgs, read) {
+  const socket = roomSocket();
+  if (!socket) return;
+  const { userId } = currentSession() || {};
+  for (const m of msgs) {
+    if (m.senderId === userId) continue;
+    socket.emit("message-received", { messageId: m.messageId, roomId });
+    if (m.plaintext !== undefined && read) {
+      socket.emit("message-read", { messageId: m.messageId, roomId });
+    }
+  }
+}
+
+// new receipt counts ({ messageId, recipients, delivered, read }) applied to
+// our own messages
+export function withReceipts(prev, summaries) {
+  const byId = new Map(summaries.map((r) => [r.messageId, r]));
+  return prev.map((msg) => {
+    const r = byId.get(msg.messageId);
+    if (!r) return msg;
+    const { recipients, delivered, read } = r;
+    return { ...msg, receipts: { recipients, delivered, read } };
+  });
+}
@@ -0,0 +1,102 @@
+// web/src/utils/relations.js
+// replies and reactions, kept opaque to the server. A reply's quote lives in
+// the encrypted body; what the server gets is a thread tag, the same for every
+// reply in a thread and unlinkable to the root without the room key. A
+// reaction is an encrypted { messageId, emoji } stored under a reaction key
+// derived from sender, message and emoji, so reacting again replaces it and
+// taking it back needs nothing but the key.
+import { decryptText, encryptText, roomTag } from "./crypto";
+import { getReactions } from "./api";
+
+export const REACTION_EMOJIS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+// longest quote carried in a reply
+export const REPLY_SNIPPET_LENGTH = 200;
+
+const REACTION_VERSION = 1;
+const textEncoder = new TextEncoder();
+
+export function threadTag(key, roomId, rootId) {
+  return roomTag(key, roomId, `thread|${rootId}`);
+}
+
+export function reactionKey(key, roomId, { senderId, messageId, emoji }) {
+  return roomTag(key, roomId, `reaction|${senderId}|${messageId}|${emoji}`);
+}
+
+function reactionAad(roomId, senderId, key) {
+  return textEncoder.encode(
+    JSON.stringify(["reaction", REACTION_VERSION, roomId, senderId, key])
+  );
+}
+
+// { reactionKey, envelope } to send with a react event
+export async function sealReaction(
+  key,
+  roomId,
+  { senderId, messageId, emoji }
+) {
+  const rk = await reactionKey(key, roomId, { senderId, messageId, emoji });
+  const envelope = await encryptText(
+    key,
+    JSON.stringify({ messageId, emoji }),
+    reactionAad(roomId, senderId, rk)
+  );
+  return { reactionKey: rk, envelope };
+}
+
+// { senderId, reactionKey, messageId, emoji } from a stored reaction. Throws
+// if it doesn't decrypt or wasn't filed under its own reaction key.
+export async function openReaction(key, roomId, reaction) {
+  const { senderId, reactionKey: rk, envelope } = reaction;
+  const plain = await decryptText(
+    key,
+    envelope.iv,
+    envelope.ciphertext,
+    reactionAad(roomId, senderId, rk)
+  );
+  const { messageId, emoji } = JSON.parse(plain);
+  if (typeof messageId !== "string" || typeof emoji !== "string") {
+    throw new Error("malformed reaction");
+  }
+  const expected = await reactionKey(key, roomId, {
+    senderId,
+    messageId,
+    emoji,
+  });
+  if (expected !== rk) throw new Error("reaction key mismatch");
+  return { senderId, reactionKey: rk, messageId, emoji };
+}
+
+// the room's reactions we can open, keyed by sender and reaction key;
+// ones that don't decrypt are left out
+export async function loadReactions(k, roomId) {
+  const out = {};
+  for (const r of await getReactions(roomId)) {
+    try {
+      const opened = await openReaction(k, roomId, r);
+      out[`${opened.senderId}:${opened.reactionKey}`] = opened;
+    } catch (err) {
+      console.warn("unreadable reaction:", err && err.message);
+    }
+  }
+  return out;
+}
+
+// messageId -> [{ emoji, senderIds }] in first-reacted order
+export function tallyReactions(reactions) {
+  const byMessage = new Map();
+  for (const r of reactions) {
+    if (!byMessage.has(r.messageId)) byMessage.set(r.messageId, new Map());
+    const byEmoji = byMessage.get(r.messageId);
+    if (!byEmoji.has(r.emoji)) byEmoji.set(r.emoji, []);
+    byEmoji.get(r.emoji).push(r.senderId);
+  }
+  const out = new Map();
+  for (const [messageId, byEmoji] of byMessage) {
+    out.set(
+      messageId,
+      [...byEmoji].map(([emoji, senderIds]) => ({ emoji, senderIds }))
+    );
+  }
+  return out;
+}
@@ -0,0 +1,169 @@
+// web/src/utils/roomKey.js
+// a room's content key: fetched as the server stores it (wrapped under the
+// passphrase), checked against the room's key check value, and stored or
+// re-wrapped by whoever may set the room's passphrase
+import {
+  deriveKey,
+  generateRoomKey,
+  lockRoomKey,
+  wrapRoomKey,
+  unwrapRoomKey,
+  kdfNeedsUpgrade,
+  createKeyCheck,
+  checkRoomKey,
+} from "./crypto";
+import { getRoomKey, putRoomKey, putKeyCheck } from "./api";
+import { rememberRoomRecord, rememberedRoomRecord } from "./cache";
+import { safeDecrypt } from "./history";
+
+export const WRONG_PASSPHRASE = "Wrong passphrase for this room.";
+export const NO_ROOM_KEY =
+  "This room's owner hasn't set its passphrase yet. Try again once they have.";
+export const WEAK_PASSPHRASE_CONFIRM =
+  "This passphrase is weak: anyone who gets the room's stored key can guess it. Use it anyway?";
+
+// the room's key record from the server, remembered so the room can be
+// unlocked offline; when the server can't be reached, the remembered one
+export async function fetchRoomRecord(roomId) {
+  try {
+    const record = await getRoomKey(roomId);
+    if (record) {
+      rememberRoomRecord(roomId, record).catch((err) =>
+        console.warn("room record not remembered", err)
+      );
+    }
+    return record;
+  } catch (err) {
+    const remembered = await rememberedRoomRecord(roomId).catch(() => null);
+    if (!remembered) throw err;
+    console.warn("room key lookup failed, using the remembered record", err);
+    return remembered;
+  }
+}
+
+// check a key against the room's key check value, storing one first if the
+// room has none yet (the first holder of the key sets it). Resolves whether
+// the key is the room's key.
+export async function ensureKeyCheck(roomId, key, keyCheck) {
+  let check = keyCheck;
+  if (!check) {
+    ({ keyCheck: check } = await putKeyCheck(
+      roomId,
+      await createKeyCheck(key, roomId)
+    ));
+  }
+  return checkRoomKey(key, roomId, check);
+}
+
+// rooms from before key check values: does the key open recent history?
+async function opensHistory(key, roomId, history) {
+  const candidates = history.filter((m) => !m.ratchet && m.iv && m.ciphertext);
+  if (candidates.length === 0) return true;
+  for (const m of candidates.slice(-5)) {
+    if ((await safeDecrypt(key, m)) !== null) return true;
+  }
+  return false;
+}
+
+// re-wrap an envelope made with an older KDF profile under the current one
+// (only for whoever may store the key; see resolveRoomKey), given the key
+// unwrapped extractable. Best effort: a conflict means someone else
+// re-wrapped or changed the passphrase first. Resolves the room key revision
+// after the attempt.
+async function upgradeKdf(roomId, key, passphrase, record) {
+  try {
+    const envelope = await wrapRoomKey(key, passphrase);
+    const result = await putRoomKey(roomId, envelope, record.revision);
+    if (!result.conflict) return result.revision;
+  } catch (err) {
+    console.warn("kdf upgrade failed:", err && err.message);
+  }
+  return record.revision;
+}
+
+// resolve the room content key for a passphrase: unwrap the stored envelope,
+// or store one on first unlock. Rooms that already have history keep their
+// legacy passphrase+roomId key as the content key so old messages still decrypt.
+// Storing the envelope sets the passphrase, so only `mayWrap` (the owner, or
+// anyone in a room without one) does; anyone else can still open history
+// under the legacy key, but not a room with none.
+// Throws WRONG_PASSPHRASE if the key doesn't match the room's key check value
+// (or, in rooms without one, its history), NO_ROOM_KEY if there's nothing to
+// open yet. Resolves { key, revision, verified, wrappable }; revision is null
+// and verified false when the server has no such room. The key isn't
+// extractable: wrappable() resolves a copy that is, to re-wrap it.
+export async function resolveRoomKey(roomId, passphrase, history, { mayWrap }) {
+  const legacyCopy = () => deriveKey(passphrase, roomId, { extractable: true });
+  const record = await fetchRoomRecord(roomId);
+  if (!record) {
+    // room unknown to the server (e.g. a local temporary room): legacy
+    // derivation, and nothing stored to verify it against
+    const key = await deriveKey(passphrase, roomId);
+    if (!(await opensHistory(key, roomId, history))) {
+      throw new Error(WRONG_PASSPHRASE);
+    }
+    return { key, revision: null, verified: false, wrappable: legacyCopy };
+  }
+
+  if (record.envelope) {
+    const upgrade = mayWrap && kdfNeedsUpgrade(record.envelope);
+    let key;
+    try {
+      key = await unwrapRoomKey(record.envelope, passphrase, {
+        extractable: upgrade,
+      });
+    } catch (err) {
+      console.warn("unwrap room key failed:", err && err.message);
+      throw new Error(WRONG_PASSPHRASE);
+    }
+    if (!(await ensureKeyCheck(roomId, key, record.keyCheck))) {
+      throw new Error(WRONG_PASSPHRASE);
+    }
+    let revision = record.revision;
+    if (upgrade) {
+      revision = await upgradeKdf(roomId, key, passphrase, record);
+      key = await lockRoomKey(key);
+    }
+    const wrappable = () =>
+      unwrapRoomKey(record.envelope, passphrase, { extractable: true });
+    return { key, revision, verified: true, wrappable };
+  }
+
+  if (!mayWrap && history.length === 0) throw new Error(NO_ROOM_KEY);
+  // the legacy key becomes the content key, so whoever stores it wraps it
+  const key =
+    history.length > 0
+      ? await deriveKey(passphrase, roomId, { extractable: mayWrap })
+      : await generateRoomKey({ extractable: true });
+  const matches = record.keyCheck
+    ? await checkRoomKey(key, roomId, record.keyCheck)
+    : await opensHistory(key, roomId, history);
+  if (!matches) throw new Error(WRONG_PASSPHRASE);
+  if (!mayWrap) {
+    if (!(await ensureKeyCheck(roomId, key, record.keyCheck))) {
+      throw new Error(WRONG_PASSPHRASE);
+    }
+    return {
+      key,
+      revision: record.revision,
+      verified: true,
+      wrappable: legacyCopy,
+    };
+  }
+
+  const envelope = await wrapRoomKey(key, passphrase);
+  const result = await putRoomKey(roomId, envelope, record.revision);
+  if (result.conflict) {
+    // stored in the meantime (by another of our devices): use that one
+    return resolveRoomKey(roomId, passphrase, history, { mayWrap });
+  }
+  if (!(await ensureKeyCheck(roomId, key, record.keyCheck))) {
+    throw new Error(WRONG_PASSPHRASE);
+  }
+  return {
+    key: await lockRoomKey(key),
+    revision: result.revision,
+    verified: true,
+    wrappable: () => unwrapRoomKey(envelope, passphrase, { extractable: true }),
+  };
+}
@@ -0,0 +1,38 @@
+// web/src/utils/roomSocket.js
+// the chat page's socket.io connection: one at a time, opened once the room
+// can be joined and closed when the page leaves it. What sends outside the
+// socket's own handlers (the outbox, receipts, moderation) finds it here.
+import io from "socket.io-client";
+import { currentSession } from "./session";
+
+const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+let socket = null;
+
+// the token is read on every (re)connect, so a renewed one is picked up
+export function openRoomSocket() {
+  socket = io(API, {
+    transports: ["websocket", "polling"],
+    auth: (cb) => cb({ token: (currentSession() || {}).token }),
+  });
+  return socket;
+}
+
+export function closeRoomSocket() {
+  try {
+    if (socket) socket.disconnect();
+  } catch (err) {
+    console.warn("socket disconnect failed:", err);
+  }
+  socket = null;
+}
+
+// the open socket, or null. Emits before it connects wait for it.
+export function roomSocket() {
+  return socket;
+}
+
+// reactions, edits and deletes aren't queued: they need the connection
+export function isOffline() {
+  return !socket || socket.disconnected;
+}
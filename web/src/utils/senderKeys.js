@@ -0,0 +1,65 @@
+// web/src/utils/senderKeys.js
+// our outbound ratchet session in a room: rotated when due and sealed to each
+// member (for their current device key) before anything is sent under it
+import {
+  newOutboundSession,
+  needsRotation,
+  sessionShare,
+  loadOutbound,
+  saveInbound,
+  sealSession,
+} from "./ratchet";
+import { roomSocket } from "./roomSocket";
+
+// outbound ratchet use is serialized so a message index is never used twice
+let outboundChain = Promise.resolve();
+
+export function withOutbound(fn) {
+  const run = outboundChain.then(fn);
+  outboundChain = run.catch(() => {});
+  return run;
+}
+
+// our outbound ratchet session for a room, rotated when due. A new session is
+// also kept as our own inbound copy so we can read back what we sent.
+export async function currentOutbound(roomId, userId) {
+  const session = await loadOutbound(roomId);
+  if (session && !needsRotation(session)) return session;
+  const fresh = newOutboundSession();
+  await saveInbound(roomId, userId, sessionShare(fresh));
+  return fresh;
+}
+
+// seal the session to every member who hasn't got it for their current
+// device key; returns the session with `sharedWith` updated
+export async function shareOutbound(
+  session,
+  { roomId, userId, roomKey, keyPair, members }
+) {
+  const socket = roomSocket();
+  if (!roomKey || !keyPair || !socket) return session;
+  let sharedWith = session.sharedWith;
+  for (const member of Object.values(members)) {
+    if (member.userId === userId || !member.publicKey) continue;
+    if (sharedWith[member.userId] === member.publicKey.x) continue;
+    try {
+      const envelope = await sealSession(
+        session,
+        roomKey,
+        keyPair,
+        member.publicKey,
+        roomId
+      );
+      socket.emit("sender-key", {
+        roomId,
+        recipientId: member.userId,
+        sessionId: session.sessionId,
+        envelope,
+      });
+      sharedWith = { ...sharedWith, [member.userId]: member.publicKey.x };
+    } catch (err) {
+      console.warn("share sender key failed for", member.userId, err);
+    }
+  }
+  return { ...session, sharedWith };
+}
@@ -0,0 +1,44 @@
+// web/src/utils/session.js
+// this browser's session with the server: a signed token for our userId,
+// issued by POST /session and sent with every request and socket connection.
+// The server takes our identity from it, so it's the only place our userId
+// comes from.
+const API = import.meta.env.VITE_API_URL || "http://localhost:4000";
+
+const STORAGE_KEY = "session";
+
+// { token, userId, username, expiresAt } as last issued, or null
+export function currentSession() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// headers that authenticate a REST call (none without a session)
+export function authHeaders() {
+  const session = currentSession();
+  return session ? { Authorization: `Bearer ${session.token}` } : {};
+}
+
+// start a session under `username`, or renew ours (keeping our userId and
+// taking the new name). A token the server no longer accepts gets a new
+// identity. Resolves the session.
+export async function startSession(username) {
+  const res = await fetch(`${API}/session`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify({ username }),
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    const serverMsg = data && data.error ? data.error : `HTTP ${res.status}`;
+    throw new Error(`start session failed: ${serverMsg}`);
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+  localStorage.setItem("username", data.username);
+  // the id clients used to pick for themselves means nothing now
+  localStorage.removeItem("userId");
+  return data;
+}
@@ -0,0 +1,94 @@
+// web/src/utils/trust.js
+// trust-on-first-use pinning of other members' signing keys. The first key
+// whose signature checks out for a userId is pinned on this device; after
+// that a message is "verified" only if the pinned key signed it. A member who
+// now publishes (and signs with) a different key shows as "key-changed" until
+// the user accepts the new key. A key whose safety number was compared (read
+// aloud or scanned as QR) is "confirmed" rather than merely first seen.
+import { verifyMessage } from "./crypto";
+import { idbGet, idbPut } from "./idb";
+
+export const TRUST_VERIFIED = "verified";
+export const TRUST_UNVERIFIED = "unverified";
+export const TRUST_KEY_CHANGED = "key-changed";
+export const TRUST_CONFIRMED = "confirmed";
+
+const VERIFY_CODE_PREFIX = "chatdt-verify:1";
+
+export function sameKey(a, b) {
+  return !!a && !!b && a.x === b.x && a.y === b.y;
+}
+
+export function pinSigningKey(userId, signingKey, confirmed = false) {
+  return idbPut("trust", userId, {
+    signingKey,
+    pinnedAt: new Date().toISOString(),
+    confirmed,
+  });
+}
+
+export function loadPin(userId) {
+  return idbGet("trust", userId);
+}
+
+// trust level of one message given its sender's currently published key
+export async function senderTrust(msg, publishedKey) {
+  if (!msg.sig || !msg.enc) return TRUST_UNVERIFIED;
+
+  const pinned = await idbGet("trust", msg.senderId);
+  if (pinned) {
+    if (await verifyMessage(pinned.signingKey, msg)) {
+      return pinned.confirmed ? TRUST_CONFIRMED : TRUST_VERIFIED;
+    }
+    if (
+      !sameKey(publishedKey, pinned.signingKey) &&
+      (await verifyMessage(publishedKey, msg))
+    ) {
+      return TRUST_KEY_CHANGED;
+    }
+    return TRUST_UNVERIFIED;
+  }
+
+  if (!(await verifyMessage(publishedKey, msg))) return TRUST_UNVERIFIED;
+  await pinSigningKey(msg.senderId, publishedKey);
+  return TRUST_VERIFIED;
+}
+
+// ----- QR verification -----
+// A device shows what it believes: the room's safety number, its own
+// fingerprint and the fingerprint it sees for the peer. The peer scans it and
+// checks the same facts from its side.
+
+export function verificationCode(v) {
+  return [
+    VERIFY_CODE_PREFIX,
+    v.roomId,
+    v.roomNumber || "",
+    v.ownId,
+    v.ownFingerprint,
+    v.peerId,
+    v.peerFingerprint,
+  ].join(":");
+}
+
+// check a scanned code against what this device sees; { ok, reason }
+export function checkVerificationCode(text, v) {
+  const parts = String(text || "").split(":");
+  if (parts.length !== 8 || `${parts[0]}:${parts[1]}` !== VERIFY_CODE_PREFIX) {
+    return { ok: false, reason: "That isn't a ChatDT verification code." };
+  }
+  const [, , roomId, roomNumber, theirId, theirFp, aboutId, aboutFp] = parts;
+  if (roomId !== v.roomId) {
+    return { ok: false, reason: "That code is for a different room." };
+  }
+  if (theirId !== v.peerId || aboutId !== v.ownId) {
+    return { ok: false, reason: "That code is for a different member." };
+  }
+  if (theirFp !== v.peerFingerprint || aboutFp !== v.ownFingerprint) {
+    return { ok: false, reason: "Safety numbers don't match." };
+  }
+  if (roomNumber && v.roomNumber && roomNumber !== v.roomNumber) {
+    return { ok: false, reason: "You're holding different room keys." };
+  }
+  return { ok: true };
+}